@@ -11,6 +11,12 @@ define('DB_USER', 'srv92460_Aplikacja');
 define('DB_PASS', 'Serniczek12345%$#@!');
 //im not sharing this one on GitHub 
 
+// Days deleted items stay in the trash before they are removed for good
+define('TRASH_RETENTION_DAYS', 30);
+
+// Highest unit price and list budget accepted, in PLN
+define('MAX_PRICE', 1000000);
+
 
 
 // Start session
@@ -45,7 +51,7 @@ function sendJsonResponse($data, $statusCode = 200) {
 // Ustawienia CORS
 header("Access-Control-Allow-Origin: https://stronakszona.pl");
 header("Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS");
-header("Access-Control-Allow-Headers: Content-Type");
+header("Access-Control-Allow-Headers: Content-Type, X-Client-Id");
 header("Access-Control-Allow-Credentials: true");
 
 if ($_SERVER['REQUEST_METHOD'] == 'OPTIONS') {
@@ -61,4 +67,145 @@ function isLoggedIn() {
 function getCurrentUserId() {
     return $_SESSION['user_id'] ?? null;
 }
+
+// Roles on a list, from least to most privileged
+const LIST_ROLES = ['viewer', 'editor', 'owner'];
+
+// Get a list the user owns or is an accepted member of (or null)
+// The returned row carries the user's role on the list
+function getListForUser($db, $listId, $userId) {
+    $stmt = $db->prepare("
+        SELECT l.id, l.user_id, l.name, l.archived,
+               CASE WHEN l.user_id = :owner_check THEN 'owner' ELSE m.role END AS role
+        FROM shopping_lists l
+        LEFT JOIN list_members m
+            ON m.list_id = l.id AND m.user_id = :member_id AND m.status = 'accepted'
+        WHERE l.id = :id AND (l.user_id = :owner_id OR m.user_id IS NOT NULL)
+    ");
+    $stmt->bindValue(':owner_check', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':member_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':owner_id', $userId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    return $stmt->fetch() ?: null;
+}
+
+// Check whether a role grants at least the required role
+function listRoleAllows($role, $requiredRole) {
+    return array_search($role, LIST_ROLES) >= array_search($requiredRole, LIST_ROLES);
+}
+
+// Get the list or end the request when the user may not access it with the required role
+function requireListRole($db, $listId, $userId, $requiredRole) {
+    $list = getListForUser($db, $listId, $userId);
+    
+    if (!$list) {
+        sendJsonResponse(['error' => 'List not found'], 404);
+    }
+    
+    if (!listRoleAllows($list['role'], $requiredRole)) {
+        sendJsonResponse(['error' => 'You do not have permission to do this on this list'], 403);
+    }
+    
+    return $list;
+}
+
+// Get the next date (Y-m-d) a staple is due after $from
+// A staple repeats every $intervalDays days or on the ISO weekdays (1 = Monday) in $weekdays
+function nextStapleDue($intervalDays, $weekdays, $from = 'today') {
+    $date = new DateTime($from);
+    
+    if ($intervalDays) {
+        return $date->modify('+' . (int)$intervalDays . ' days')->format('Y-m-d');
+    }
+    
+    $days = array_map('intval', is_array($weekdays) ? $weekdays : explode(',', (string)$weekdays));
+    for ($i = 0; $i < 7; $i++) {
+        $date->modify('+1 day');
+        if (in_array((int)$date->format('N'), $days, true)) {
+            return $date->format('Y-m-d');
+        }
+    }
+    
+    return null;
+}
+
+// Parse a price or budget sent as a number or as text with a decimal comma
+// Returns the amount rounded to grosze, null for an empty value or false if it is invalid
+function parseAmount($value) {
+    if (is_string($value)) {
+        $value = str_replace(',', '.', trim($value));
+    }
+    if ($value === null || $value === '') {
+        return null;
+    }
+    if (!is_numeric($value)) {
+        return false;
+    }
+    
+    $amount = round((float)$value, 2);
+    return $amount >= 0 && $amount <= MAX_PRICE ? $amount : false;
+}
+
+// Units accepted for shopping items, staples and template items
+const VALID_UNITS = ['szt', 'kg', 'g', 'l', 'ml', 'opak', 'inna'];
+
+// Decimal places allowed per unit: whole grams and millilitres, tenths of pieces and packs
+const UNIT_PRECISION = ['szt' => 1, 'kg' => 3, 'g' => 0, 'l' => 3, 'ml' => 0, 'opak' => 1, 'inna' => 2];
+const MAX_QUANTITY = 100000;
+
+// Categories accepted for shopping items, staples and template items (null means uncategorized)
+const VALID_CATEGORIES = [
+    'warzywa', 'owoce', 'pieczywo', 'nabial', 'mieso', 'ryby', 'mrozonki', 'suche',
+    'konserwy', 'przyprawy', 'slodycze', 'napoje', 'chemia', 'higiena', 'inne'
+];
+
+// Parse a quantity sent as a number or as text with a Polish decimal comma (or null if invalid)
+function parseQuantity($value) {
+    if (is_int($value) || is_float($value)) {
+        return (float)$value;
+    }
+    
+    $value = str_replace(',', '.', trim((string)$value));
+    return is_numeric($value) ? (float)$value : null;
+}
+
+// Validate a quantity for a unit, returns an error message or null
+// Without a unit the finest precision is allowed
+function validateQuantity($value, $unit = null) {
+    $quantity = parseQuantity($value);
+    if ($quantity === null || $quantity <= 0) {
+        return 'Quantity must be greater than 0';
+    }
+    
+    if ($quantity > MAX_QUANTITY) {
+        return 'Quantity is too large';
+    }
+    
+    $precision = $unit !== null ? (UNIT_PRECISION[$unit] ?? 2) : max(UNIT_PRECISION);
+    if (round($quantity, $precision) != $quantity) {
+        return $precision === 0
+            ? "Quantity in $unit must be a whole number"
+            : "Quantity in $unit allows at most $precision decimal places";
+    }
+    
+    return null;
+}
+
+// Record an item change in the feed streamed by events.php
+// The X-Client-Id header lets the originating tab skip its own changes
+function recordItemEvent($db, $listId, $type, $itemId, $item = null) {
+    $stmt = $db->prepare('
+        INSERT INTO item_events (user_id, list_id, item_id, type, item, client_id, created_at)
+        VALUES (:user_id, :list_id, :item_id, :type, :item, :client_id, NOW())
+    ');
+    $stmt->bindValue(':user_id', getCurrentUserId(), PDO::PARAM_INT);
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':item_id', $itemId, PDO::PARAM_INT);
+    $stmt->bindValue(':type', $type, PDO::PARAM_STR);
+    $stmt->bindValue(':item', $item ? json_encode($item) : null, $item ? PDO::PARAM_STR : PDO::PARAM_NULL);
+    $stmt->bindValue(':client_id', $_SERVER['HTTP_X_CLIENT_ID'] ?? null, PDO::PARAM_STR);
+    $stmt->execute();
+}
 ?>
\ No newline at end of file
@@ -0,0 +1,134 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendJsonResponse(['error' => 'Invalid request method'], 405);
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+$listId = intval($_GET['list_id'] ?? 0);
+requireListRole($db, $listId, $userId, 'viewer');
+
+// Release the session lock, otherwise the open stream blocks every other request of this user
+session_write_close();
+
+// EventSource cannot send headers, so the tab identifies itself in the query string
+$clientId = $_GET['client_id'] ?? null;
+$mode = $_GET['mode'] ?? 'stream';
+
+// Resume from the last delivered event (header is sent by EventSource on reconnect)
+$since = $_SERVER['HTTP_LAST_EVENT_ID'] ?? ($_GET['since'] ?? null);
+
+// How long one streaming connection stays open before the client reconnects
+const STREAM_DURATION = 25;
+const STREAM_POLL_INTERVAL = 2;
+const EVENT_RETENTION = '1 DAY';
+
+// Get the id of the newest event of the list
+function getLastEventId($db, $listId) {
+    $stmt = $db->prepare('SELECT COALESCE(MAX(id), 0) AS last_id FROM item_events WHERE list_id = :list_id');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    return (int)$stmt->fetch()['last_id'];
+}
+
+// Get events of the list newer than $since, flagging the ones caused by $clientId
+function fetchEvents($db, $listId, $since, $clientId) {
+    $stmt = $db->prepare('
+        SELECT id, item_id, type, item, client_id
+        FROM item_events
+        WHERE list_id = :list_id AND id > :since
+        ORDER BY id
+        LIMIT 200
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':since', $since, PDO::PARAM_INT);
+    $stmt->execute();
+
+    $events = [];
+    foreach ($stmt->fetchAll() as $row) {
+        $events[] = [
+            'id' => (int)$row['id'],
+            'type' => $row['type'],
+            'item_id' => (int)$row['item_id'],
+            'item' => $row['item'] ? json_decode($row['item'], true) : null,
+            'own' => $clientId !== null && $row['client_id'] === $clientId
+        ];
+    }
+    return $events;
+}
+
+try {
+    // Drop events nobody will ask for anymore
+    $stmt = $db->prepare('DELETE FROM item_events WHERE list_id = :list_id AND created_at < NOW() - INTERVAL ' . EVENT_RETENTION);
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+
+    $lastId = $since !== null ? (int)$since : getLastEventId($db, $listId);
+
+    if ($mode === 'poll') {
+        // Polling fallback for browsers / proxies without SSE
+        $events = fetchEvents($db, $listId, $lastId, $clientId);
+        if (!empty($events)) {
+            $lastId = end($events)['id'];
+        }
+
+        sendJsonResponse([
+            'events' => array_values(array_filter($events, function ($event) {
+                return !$event['own'];
+            })),
+            'last_id' => $lastId
+        ]);
+    }
+
+    header('Content-Type: text/event-stream');
+    header('Cache-Control: no-cache');
+    header('X-Accel-Buffering: no');
+
+    // Tell the client where the stream starts and how fast to reconnect
+    echo "retry: 3000\n";
+    echo "id: {$lastId}\n";
+    echo "event: ready\n";
+    echo 'data: ' . json_encode(['last_id' => $lastId]) . "\n\n";
+    @ob_flush();
+    flush();
+
+    $startedAt = time();
+    while (time() - $startedAt < STREAM_DURATION && !connection_aborted()) {
+        foreach (fetchEvents($db, $listId, $lastId, $clientId) as $event) {
+            $lastId = $event['id'];
+
+            // An id-only message moves the client's Last-Event-ID past its own changes
+            if ($event['own']) {
+                echo "id: {$lastId}\n\n";
+                continue;
+            }
+
+            unset($event['own']);
+            echo "id: {$lastId}\n";
+            echo "event: item\n";
+            echo 'data: ' . json_encode($event) . "\n\n";
+        }
+
+        // Heartbeat keeps proxies from closing an idle connection
+        echo ": ping\n\n";
+        @ob_flush();
+        flush();
+
+        sleep(STREAM_POLL_INTERVAL);
+    }
+} catch (PDOException $e) {
+    error_log("Database error: " . $e->getMessage());
+    if ($mode === 'poll') {
+        sendJsonResponse(['error' => 'Database error occurred'], 500);
+    }
+}
+?>
\ No newline at end of file
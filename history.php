@@ -0,0 +1,69 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+
+// Most suggestions the client keeps for filtering locally
+const HISTORY_LIMIT = 500;
+
+try {
+    switch ($method) {
+        case 'GET':
+            // Products ranked by how often and how recently they were added
+            $stmt = $db->prepare('
+                SELECT text, quantity, unit, price, description, category, use_count, last_used_at
+                FROM product_history
+                WHERE user_id = :user_id
+                ORDER BY use_count / (1 + DATEDIFF(NOW(), last_used_at) / 30) DESC, last_used_at DESC
+                LIMIT ' . HISTORY_LIMIT
+            );
+            $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $history = $stmt->fetchAll();
+            foreach ($history as &$entry) {
+                $entry['quantity'] = (float)$entry['quantity'];
+                $entry['price'] = $entry['price'] !== null ? (float)$entry['price'] : null;
+                $entry['use_count'] = (int)$entry['use_count'];
+            }
+            
+            sendJsonResponse($history);
+            break;
+            
+        case 'DELETE':
+            // Forget a product so it is no longer suggested
+            $name = trim($_GET['name'] ?? '');
+            if ($name === '') {
+                sendJsonResponse(['error' => 'Product name is required'], 400);
+            }
+            
+            $stmt = $db->prepare('DELETE FROM product_history WHERE user_id = :user_id AND name_key = :name_key');
+            $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+            $stmt->bindValue(':name_key', mb_strtolower($name), PDO::PARAM_STR);
+            $stmt->execute();
+            
+            sendJsonResponse(['message' => 'Product removed from history']);
+            break;
+            
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file
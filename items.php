@@ -10,30 +10,369 @@ if (!isLoggedIn()) {
 $userId = getCurrentUserId();
 $db = getDB();
 
+// Every item call works on one list; viewers may only read it
+$listId = intval($_GET['list_id'] ?? 0);
+requireListRole($db, $listId, $userId, $_SERVER['REQUEST_METHOD'] === 'GET' ? 'viewer' : 'editor');
+
+// Columns returned for every item
+const ITEM_COLUMNS = 'id, text, quantity, unit, price, category, position, description, completed, added_at, completed_at, updated_at';
+
+// Columns returned for items in the trash
+const TRASH_COLUMNS = ITEM_COLUMNS . ', deleted_at';
+
+// Fields the client may change on an existing item
+const EDITABLE_FIELDS = ['text', 'quantity', 'unit', 'price', 'category', 'position', 'description', 'completed'];
+
+// Smallest gap between neighbours before the list positions are renumbered
+const MIN_POSITION_GAP = 1e-9;
+
+// Convert database types of an item row for the JSON response
+function formatItem($item) {
+    $item['quantity'] = (float)$item['quantity'];
+    $item['price'] = $item['price'] !== null ? (float)$item['price'] : null;
+    $item['position'] = (float)$item['position'];
+    $item['completed'] = (bool)$item['completed'];
+    return $item;
+}
+
+// Validate item fields sent by the client, returns an error message or null
+// $stored holds the quantity and unit of an existing item, so changing only one of them
+// is still checked against the other
+function validateItemFields($item, $requireText, $stored = null) {
+    if ($requireText || array_key_exists('text', $item)) {
+        if (trim($item['text'] ?? '') === '') {
+            return 'Item text is required for all items';
+        }
+    }
+    
+    if (array_key_exists('unit', $item) && !in_array($item['unit'], VALID_UNITS)) {
+        return 'Invalid unit for one or more items';
+    }
+    
+    if (array_key_exists('quantity', $item) || (array_key_exists('unit', $item) && $stored)) {
+        $error = validateQuantity($item['quantity'] ?? $stored['quantity'], $item['unit'] ?? $stored['unit'] ?? null);
+        if ($error) {
+            return $error;
+        }
+    }
+    
+    if (array_key_exists('price', $item) && parseAmount($item['price']) === false) {
+        return 'Invalid price for one or more items';
+    }
+    
+    if (isset($item['category']) && !in_array($item['category'], VALID_CATEGORIES)) {
+        return 'Invalid category for one or more items';
+    }
+    
+    if (array_key_exists('position', $item) && !is_numeric($item['position'])) {
+        return 'Invalid position for one or more items';
+    }
+    
+    return null;
+}
+
+// Fetch all items of a list in display order
+function fetchItems($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT ' . ITEM_COLUMNS . ' 
+        FROM shopping_items 
+        WHERE list_id = :list_id AND deleted_at IS NULL
+        ORDER BY completed, position, added_at DESC
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    return array_map('formatItem', $stmt->fetchAll());
+}
+
+// Move the list's items matching a fixed SQL condition to the trash and record the deletions
+// Returns the IDs of the trashed items
+function trashItemsWhere($db, $listId, $condition) {
+    $db->beginTransaction();
+    
+    $stmt = $db->prepare("SELECT id FROM shopping_items WHERE list_id = :list_id AND deleted_at IS NULL AND $condition FOR UPDATE");
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    $ids = array_map('intval', array_column($stmt->fetchAll(), 'id'));
+    
+    $stmt = $db->prepare("UPDATE shopping_items SET deleted_at = NOW() WHERE list_id = :list_id AND deleted_at IS NULL AND $condition");
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    foreach ($ids as $id) {
+        recordItemEvent($db, $listId, 'delete', $id);
+    }
+    
+    $db->commit();
+    return $ids;
+}
+
+// Fetch a single item of a list (or null if it does not exist or is in the trash)
+function fetchItem($db, $itemId, $listId) {
+    $stmt = $db->prepare('
+        SELECT ' . ITEM_COLUMNS . ' 
+        FROM shopping_items 
+        WHERE id = :id AND list_id = :list_id AND deleted_at IS NULL
+    ');
+    $stmt->bindValue(':id', $itemId, PDO::PARAM_INT);
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $item = $stmt->fetch();
+    if (!$item) {
+        return null;
+    }
+    
+    return formatItem($item);
+}
+
+// Fetch the stored quantity and unit of items of a list as id => ['quantity' => ..., 'unit' => ...]
+function fetchItemAmounts($db, $listId, $itemIds) {
+    if (empty($itemIds)) {
+        return [];
+    }
+    
+    $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
+    $stmt = $db->prepare("SELECT id, quantity, unit FROM shopping_items WHERE list_id = ? AND id IN ($placeholders)");
+    $stmt->execute(array_merge([$listId], $itemIds));
+    
+    $amounts = [];
+    foreach ($stmt->fetchAll() as $row) {
+        $amounts[(int)$row['id']] = ['quantity' => (float)$row['quantity'], 'unit' => $row['unit']];
+    }
+    
+    return $amounts;
+}
+
+// Get a position above every item of the list, for a newly added item
+function topPosition($db, $listId) {
+    $stmt = $db->prepare('SELECT MIN(position) AS top FROM shopping_items WHERE list_id = :list_id AND deleted_at IS NULL');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $top = $stmt->fetch()['top'];
+    return $top === null ? 0 : (float)$top - 1;
+}
+
+// Get the position of an item of the list (or null if it does not exist)
+function getItemPosition($db, $listId, $itemId) {
+    $stmt = $db->prepare('SELECT position FROM shopping_items WHERE id = :id AND list_id = :list_id AND deleted_at IS NULL');
+    $stmt->bindValue(':id', $itemId, PDO::PARAM_INT);
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $row = $stmt->fetch();
+    return $row ? (float)$row['position'] : null;
+}
+
+// Compute a position between two neighbours (either may be missing)
+// Returns null when the neighbours are too close and the list must be renumbered
+function positionBetween($db, $listId, $previousId, $nextId) {
+    $previous = $previousId !== null ? getItemPosition($db, $listId, $previousId) : null;
+    $next = $nextId !== null ? getItemPosition($db, $listId, $nextId) : null;
+    
+    if ($previous !== null && $next !== null) {
+        if (abs($next - $previous) < MIN_POSITION_GAP) {
+            return null;
+        }
+        return ($previous + $next) / 2;
+    }
+    if ($previous !== null) {
+        return $previous + 1;
+    }
+    if ($next !== null) {
+        return $next - 1;
+    }
+    return topPosition($db, $listId);
+}
+
+// Renumber the positions of a list 1, 2, 3... keeping the current order
+function renumberPositions($db, $listId) {
+    $db->exec('SET @position := 0');
+    $stmt = $db->prepare('
+        UPDATE shopping_items SET position = (@position := @position + 1)
+        WHERE list_id = :list_id
+        ORDER BY position, added_at DESC
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+}
+
+// Fetch the trashed items of a list, most recently deleted first
+function fetchTrash($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT ' . TRASH_COLUMNS . ' 
+        FROM shopping_items 
+        WHERE list_id = :list_id AND deleted_at >= NOW() - INTERVAL ' . (int)TRASH_RETENTION_DAYS . ' DAY
+        ORDER BY deleted_at DESC, id DESC
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    return array_map('formatItem', $stmt->fetchAll());
+}
+
+// Remove items that stayed in the trash longer than the retention period
+function purgeExpiredItems($db, $listId) {
+    $stmt = $db->prepare('
+        DELETE FROM shopping_items 
+        WHERE list_id = :list_id AND deleted_at < NOW() - INTERVAL ' . (int)TRASH_RETENTION_DAYS . ' DAY
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+}
+
+// Bring trashed items back to the list and record them as created again
+// Returns the number of restored items
+function restoreItems($db, $listId, $ids) {
+    $stmt = $db->prepare('UPDATE shopping_items SET deleted_at = NULL WHERE id = :id AND list_id = :list_id AND deleted_at IS NOT NULL');
+    $restored = 0;
+    
+    foreach ($ids as $id) {
+        $stmt->bindValue(':id', $id, PDO::PARAM_INT);
+        $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        if ($stmt->rowCount() > 0) {
+            $restored++;
+            $item = fetchItem($db, $id, $listId);
+            recordItemEvent($db, $listId, 'create', $item['id'], $item);
+        }
+    }
+    
+    return $restored;
+}
+
+// Put due staples back on the list: missing ones are added again, bought ones un-checked
+function applyDueStaples($db, $listId) {
+    $today = date('Y-m-d');
+    $db->beginTransaction();
+    
+    $stmt = $db->prepare('SELECT * FROM staples WHERE list_id = :list_id AND next_due_at <= :today FOR UPDATE');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':today', $today, PDO::PARAM_STR);
+    $stmt->execute();
+    $dueStaples = $stmt->fetchAll();
+    
+    $findItem = $db->prepare('
+        SELECT id, completed FROM shopping_items 
+        WHERE list_id = :list_id AND deleted_at IS NULL AND LOWER(text) = LOWER(:text)
+        ORDER BY completed
+        LIMIT 1
+    ');
+    $insertItem = $db->prepare('
+        INSERT INTO shopping_items (user_id, list_id, text, quantity, unit, price, category, position, description, completed, added_at)
+        VALUES (:user_id, :list_id, :text, :quantity, :unit, :price, :category, :position, :description, 0, NOW())
+    ');
+    $uncheckItem = $db->prepare('UPDATE shopping_items SET completed = 0, completed_at = NULL, updated_at = NOW(6) WHERE id = :id');
+    $scheduleStaple = $db->prepare('UPDATE staples SET next_due_at = :next_due_at, last_added_at = NOW() WHERE id = :id');
+    
+    foreach ($dueStaples as $staple) {
+        $findItem->bindValue(':list_id', $listId, PDO::PARAM_INT);
+        $findItem->bindValue(':text', $staple['text'], PDO::PARAM_STR);
+        $findItem->execute();
+        $existing = $findItem->fetch();
+        $findItem->closeCursor();
+        
+        if (!$existing) {
+            $insertItem->bindValue(':user_id', $staple['user_id'], PDO::PARAM_INT);
+            $insertItem->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $insertItem->bindValue(':text', $staple['text'], PDO::PARAM_STR);
+            $insertItem->bindValue(':quantity', $staple['quantity'], PDO::PARAM_STR);
+            $insertItem->bindValue(':unit', $staple['unit'], PDO::PARAM_STR);
+            $price = lastPrice($db, $staple['user_id'], $staple['text']);
+            $insertItem->bindValue(':price', $price, $price === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+            $insertItem->bindValue(':category', $staple['category'], $staple['category'] === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+            $insertItem->bindValue(':position', topPosition($db, $listId), PDO::PARAM_STR);
+            $insertItem->bindValue(':description', $staple['description'] ?? '', PDO::PARAM_STR);
+            $insertItem->execute();
+            
+            $item = fetchItem($db, $db->lastInsertId(), $listId);
+            recordItemEvent($db, $listId, 'create', $item['id'], $item);
+        } elseif ($existing['completed']) {
+            $uncheckItem->bindValue(':id', $existing['id'], PDO::PARAM_INT);
+            $uncheckItem->execute();
+            
+            $item = fetchItem($db, $existing['id'], $listId);
+            recordItemEvent($db, $listId, 'update', $item['id'], $item);
+        }
+        
+        // Missed periods are skipped, the staple comes back once
+        $scheduleStaple->bindValue(':next_due_at', nextStapleDue($staple['interval_days'], $staple['weekdays'], $today), PDO::PARAM_STR);
+        $scheduleStaple->bindValue(':id', $staple['id'], PDO::PARAM_INT);
+        $scheduleStaple->execute();
+    }
+    
+    $db->commit();
+}
+
+// Remember an added product for the add form suggestions
+// The latest quantity, unit, description and category become the defaults
+function recordProductHistory($db, $userId, $item) {
+    $stmt = $db->prepare('
+        INSERT INTO product_history (user_id, name_key, text, quantity, unit, price, description, category, use_count, last_used_at)
+        VALUES (:user_id, :name_key, :text, :quantity, :unit, :price, :description, :category, 1, NOW())
+        ON DUPLICATE KEY UPDATE
+            text = VALUES(text),
+            quantity = VALUES(quantity),
+            unit = VALUES(unit),
+            price = COALESCE(VALUES(price), price),
+            description = VALUES(description),
+            category = VALUES(category),
+            use_count = use_count + 1,
+            last_used_at = NOW()
+    ');
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':name_key', mb_strtolower($item['text']), PDO::PARAM_STR);
+    $stmt->bindValue(':text', $item['text'], PDO::PARAM_STR);
+    $stmt->bindValue(':quantity', $item['quantity'], PDO::PARAM_STR);
+    $stmt->bindValue(':unit', $item['unit'], PDO::PARAM_STR);
+    $stmt->bindValue(':price', $item['price'], $item['price'] === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+    $stmt->bindValue(':description', $item['description'], PDO::PARAM_STR);
+    $stmt->bindValue(':category', $item['category'], $item['category'] === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+    $stmt->execute();
+}
+
+// Get the price the user paid the last time for a product (or null)
+function lastPrice($db, $userId, $text) {
+    $stmt = $db->prepare('SELECT price FROM product_history WHERE user_id = :user_id AND name_key = :name_key');
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':name_key', mb_strtolower(trim($text)), PDO::PARAM_STR);
+    $stmt->execute();
+    
+    $row = $stmt->fetch();
+    return $row && $row['price'] !== null ? (float)$row['price'] : null;
+}
+
+// Remember the price of a bought item as the default for the next purchase
+function rememberPrice($db, $userId, $item) {
+    if (!$item || !$item['completed'] || $item['price'] === null) {
+        return;
+    }
+    
+    $stmt = $db->prepare('UPDATE product_history SET price = :price WHERE user_id = :user_id AND name_key = :name_key');
+    $stmt->bindValue(':price', $item['price'], PDO::PARAM_STR);
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':name_key', mb_strtolower($item['text']), PDO::PARAM_STR);
+    $stmt->execute();
+}
+
 // Get request method
 $method = $_SERVER['REQUEST_METHOD'];
 
 try {
     switch ($method) {
         case 'GET':
-            // Get all items for the user
-            $stmt = $db->prepare('
-                SELECT id, text, quantity, unit, description, completed, added_at, completed_at, updated_at 
-                FROM shopping_items 
-                WHERE user_id = :user_id 
-                ORDER BY completed, added_at DESC
-            ');
-            $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
-            $stmt->execute();
-            
-            $items = $stmt->fetchAll();
-            
-            // Convert completed to boolean
-            foreach ($items as &$item) {
-                $item['completed'] = (bool)$item['completed'];
+            // Reads never write; editors run the upkeep through the maintain action
+            if (($_GET['action'] ?? null) === 'trash') {
+                sendJsonResponse([
+                    'items' => fetchTrash($db, $listId),
+                    'retention_days' => TRASH_RETENTION_DAYS
+                ]);
             }
             
-            sendJsonResponse($items);
+            // Get all items for the user
+            sendJsonResponse(fetchItems($db, $listId));
             break;
             
         case 'POST':
@@ -46,30 +385,55 @@ try {
             }
             
             $text = trim($data['text'] ?? '');
-            $quantity = intval($data['quantity'] ?? 1);
+            $quantity = $data['quantity'] ?? 1;
             $unit = $data['unit'] ?? 'szt';
+            $category = $data['category'] ?? null;
             $description = trim($data['description'] ?? '');
             $completed = boolval($data['completed'] ?? false);
             
+            // Without a price of its own the item costs what it did last time
+            $price = array_key_exists('price', $data) ? parseAmount($data['price']) : lastPrice($db, $userId, $text);
+            
             if (empty($text)) {
                 sendJsonResponse(['error' => 'Item text is required'], 400);
                 break;
             }
             
-            if ($quantity < 1) {
-                sendJsonResponse(['error' => 'Quantity must be at least 1'], 400);
+            if (!in_array($unit, VALID_UNITS)) {
+                sendJsonResponse(['error' => 'Invalid unit'], 400);
+                break;
+            }
+            
+            $error = validateQuantity($quantity, $unit);
+            if ($error) {
+                sendJsonResponse(['error' => $error], 400);
+                break;
+            }
+            $quantity = parseQuantity($quantity);
+            
+            if ($price === false) {
+                sendJsonResponse(['error' => 'Invalid price'], 400);
+                break;
+            }
+            
+            if ($category !== null && !in_array($category, VALID_CATEGORIES)) {
+                sendJsonResponse(['error' => 'Invalid category'], 400);
                 break;
             }
             
             $stmt = $db->prepare('
-                INSERT INTO shopping_items (user_id, text, quantity, unit, description, completed, added_at)
-                VALUES (:user_id, :text, :quantity, :unit, :description, :completed, NOW())
+                INSERT INTO shopping_items (user_id, list_id, text, quantity, unit, price, category, position, description, completed, added_at)
+                VALUES (:user_id, :list_id, :text, :quantity, :unit, :price, :category, :position, :description, :completed, NOW())
             ');
             
             $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
             $stmt->bindValue(':text', $text, PDO::PARAM_STR);
-            $stmt->bindValue(':quantity', $quantity, PDO::PARAM_INT);
+            $stmt->bindValue(':quantity', $quantity, PDO::PARAM_STR);
             $stmt->bindValue(':unit', $unit, PDO::PARAM_STR);
+            $stmt->bindValue(':price', $price, $price === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+            $stmt->bindValue(':category', $category, $category === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+            $stmt->bindValue(':position', topPosition($db, $listId), PDO::PARAM_STR);
             $stmt->bindValue(':description', $description, PDO::PARAM_STR);
             $stmt->bindValue(':completed', $completed, PDO::PARAM_BOOL);
             
@@ -79,15 +443,17 @@ try {
             
             // Get the newly created item
             $stmt = $db->prepare('
-                SELECT id, text, quantity, unit, description, completed, added_at, completed_at, updated_at 
+                SELECT ' . ITEM_COLUMNS . ' 
                 FROM shopping_items 
                 WHERE id = :id
             ');
             $stmt->bindValue(':id', $itemId, PDO::PARAM_INT);
             $stmt->execute();
             
-            $item = $stmt->fetch();
-            $item['completed'] = (bool)$item['completed'];
+            $item = formatItem($stmt->fetch());
+            
+            recordItemEvent($db, $listId, 'create', $item['id'], $item);
+            recordProductHistory($db, $userId, $item);
             
             sendJsonResponse($item, 201);
             break;
@@ -97,105 +463,311 @@ try {
             $action = $_GET['action'] ?? null;
             $itemId = $_GET['id'] ?? null;
 
-            if ($itemId) {
+            if ($action === 'reorder') {
+                // Move one item between its new neighbours; only the moved row is written
+                $data = json_decode(file_get_contents('php://input'), true);
+                
+                if (json_last_error() !== JSON_ERROR_NONE) {
+                    sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                    break;
+                }
+                
+                if (!fetchItem($db, $itemId, $listId)) {
+                    sendJsonResponse(['error' => 'Item not found'], 404);
+                }
+                
+                $previousId = isset($data['previous_id']) ? intval($data['previous_id']) : null;
+                $nextId = isset($data['next_id']) ? intval($data['next_id']) : null;
+                
+                $position = positionBetween($db, $listId, $previousId, $nextId);
+                if ($position === null) {
+                    renumberPositions($db, $listId);
+                    $position = positionBetween($db, $listId, $previousId, $nextId);
+                }
+                
+                // The order is not content, so updated_at (used for conflicts) stays as it is
+                $stmt = $db->prepare('UPDATE shopping_items SET position = :position WHERE id = :id AND list_id = :list_id AND deleted_at IS NULL');
+                $stmt->bindValue(':position', $position, PDO::PARAM_STR);
+                $stmt->bindValue(':id', $itemId, PDO::PARAM_INT);
+                $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                $stmt->execute();
+                
+                $item = fetchItem($db, $itemId, $listId);
+                recordItemEvent($db, $listId, 'update', $item['id'], $item);
+                
+                sendJsonResponse([
+                    'message' => 'Item moved successfully',
+                    'item' => $item
+                ]);
+            } elseif ($itemId) {
                 // Single item update
                 $data = json_decode(file_get_contents('php://input'), true);
-                $updates = array_intersect_key($data, array_flip(['text', 'quantity', 'unit', 'description', 'completed']));
+                $updates = array_intersect_key($data, array_flip(EDITABLE_FIELDS));
+                $stored = fetchItemAmounts($db, $listId, [$itemId])[$itemId] ?? null;
+                
+                $error = validateItemFields($updates, false, $stored);
+                if ($error) {
+                    sendJsonResponse(['error' => $error], 400);
+                }
+                if (array_key_exists('quantity', $updates)) {
+                    $updates['quantity'] = parseQuantity($updates['quantity']);
+                }
+                if (array_key_exists('price', $updates)) {
+                    $updates['price'] = parseAmount($updates['price']);
+                }
+
+                // Optimistic locking: the client sends the updated_at it last saw (microseconds, see migration 014)
+                $hasBase = array_key_exists('base_updated_at', $data);
+                $base = $data['base_updated_at'] ?? null;
 
-                $stmt = $db->prepare('UPDATE shopping_items SET updated_at = NOW(), ' . implode(' = ?, ', array_keys($updates)) . ' = ? WHERE id = ? AND user_id = ?');
+                $setClause = 'updated_at = NOW(6)';
+                if (array_key_exists('completed', $updates)) {
+                    $setClause .= ', completed_at = ' . ($updates['completed'] ? 'NOW()' : 'NULL');
+                }
+                $sql = 'UPDATE shopping_items SET ' . $setClause . ', ' . implode(' = ?, ', array_keys($updates)) . ' = ? WHERE id = ? AND list_id = ? AND deleted_at IS NULL';
                 $values = array_values($updates);
                 $values[] = $itemId;
-                $values[] = $userId;
+                $values[] = $listId;
+                if ($hasBase) {
+                    $sql .= ' AND updated_at <=> ?';
+                    $values[] = $base;
+                }
+                $stmt = $db->prepare($sql);
                 $stmt->execute($values);
 
                 if ($stmt->rowCount() === 0) {
-                    sendJsonResponse(['error' => 'Item not found'], 404);
-                } else {
-                    sendJsonResponse(['message' => 'Item updated successfully']);
+                    $current = fetchItem($db, $itemId, $listId);
+                    if (!$current) {
+                        sendJsonResponse(['error' => 'Item not found'], 404);
+                    }
+                    // Rejected because someone else saved the item in the meantime
+                    if ($hasBase && $current['updated_at'] !== $base) {
+                        sendJsonResponse(['error' => 'Item was modified on another device', 'item' => $current], 409);
+                    }
                 }
-            } elseif ($action === 'replace') {
-            // Handle bulk replace operation
-            $data = json_decode(file_get_contents('php://input'), true);
-            
-            if (json_last_error() !== JSON_ERROR_NONE) {
-                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
-                break;
-            }
-            
-            $items = $data['items'] ?? [];
-            
-            // Validate each item before proceeding
-            foreach ($items as $item) {
-                $text = trim($item['text'] ?? '');
-                $quantity = intval($item['quantity'] ?? 1);
                 
-                if (empty($text)) {
-                    sendJsonResponse(['error' => 'Item text is required for all items'], 400);
-                    break 2; // Exit the switch
+                $item = fetchItem($db, $itemId, $listId);
+                recordItemEvent($db, $listId, 'update', $item['id'], $item);
+                if (!empty($updates['completed'])) {
+                    rememberPrice($db, $userId, $item);
                 }
                 
-                if ($quantity < 1) {
-                    sendJsonResponse(['error' => 'Quantity must be at least 1 for all items'], 400);
-                    break 2; // Exit the switch
-                }
+                sendJsonResponse([
+                    'message' => 'Item updated successfully',
+                    'item' => $item
+                ]);
+            } elseif ($action === 'restore') {
+                // Bring items back from the trash
+                $data = json_decode(file_get_contents('php://input'), true);
                 
-                // Optional: Add more checks, e.g., for valid units
-                $validUnits = ['szt', 'kg', 'g', 'l', 'ml', 'opak', 'inna'];
-                if (!in_array($item['unit'] ?? '', $validUnits)) {
-                    sendJsonResponse(['error' => 'Invalid unit for one or more items'], 400);
-                    break 2; // Exit the switch
+                if (json_last_error() !== JSON_ERROR_NONE || !isset($data['ids']) || !is_array($data['ids'])) {
+                    sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                    break;
                 }
-            }
-            
-            try {
+                
                 $db->beginTransaction();
+                $restored = restoreItems($db, $listId, array_map('intval', $data['ids']));
+                $db->commit();
                 
-                // Delete all existing items
-                $stmt = $db->prepare('DELETE FROM shopping_items WHERE user_id = :user_id');
-                $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
-                $stmt->execute();
+                sendJsonResponse([
+                    'message' => "{$restored} items restored successfully",
+                    'restored' => $restored,
+                    'items' => fetchItems($db, $listId)
+                ]);
+            } elseif ($action === 'maintain') {
+                // Upkeep done when an editor opens the list: empty the expired trash, put due staples back
+                purgeExpiredItems($db, $listId);
+                applyDueStaples($db, $listId);
                 
-                // Insert new items (now validated)
-                $stmt = $db->prepare('
-                    INSERT INTO shopping_items 
-                    (user_id, text, quantity, unit, description, completed, added_at)
-                    VALUES 
-                    (:user_id, :text, :quantity, :unit, :description, :completed, NOW())
-                ');
+                sendJsonResponse(['message' => 'List maintained successfully']);
+            } elseif ($action === 'batch') {
+                // Apply creates, updates and deletes computed by the client in one transaction
+                $data = json_decode(file_get_contents('php://input'), true);
                 
-                foreach ($items as $item) {
-                    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
-                    $stmt->bindValue(':text', trim($item['text']), PDO::PARAM_STR);
-                    $stmt->bindValue(':quantity', intval($item['quantity']), PDO::PARAM_INT);
-                    $stmt->bindValue(':unit', $item['unit'] ?? 'szt', PDO::PARAM_STR);
-                    $stmt->bindValue(':description', trim($item['description'] ?? ''), PDO::PARAM_STR);
-                    $stmt->bindValue(':completed', boolval($item['completed'] ?? false), PDO::PARAM_BOOL);
-                    $stmt->execute();
+                if (json_last_error() !== JSON_ERROR_NONE) {
+                    sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                    break;
                 }
                 
-                $db->commit();
-                sendJsonResponse(['message' => 'List replaced successfully']);
+                $creates = $data['creates'] ?? [];
+                $updates = $data['updates'] ?? [];
+                $deletes = $data['deletes'] ?? [];
+                
+                // Validate everything before touching the database
+                foreach ($creates as $item) {
+                    $error = validateItemFields($item, true);
+                    if ($error) {
+                        sendJsonResponse(['error' => $error], 400);
+                    }
+                }
+                $storedAmounts = fetchItemAmounts($db, $listId, array_map('intval', array_column($updates, 'id')));
+                foreach ($updates as $item) {
+                    $error = validateItemFields($item, false, $storedAmounts[(int)($item['id'] ?? 0)] ?? null);
+                    if ($error) {
+                        sendJsonResponse(['error' => $error], 400);
+                    }
+                }
                 
-            } catch (Exception $e) {
-                $db->rollBack();
-                sendJsonResponse(['error' => 'Failed to replace list: ' . $e->getMessage()], 500);
+                try {
+                    $db->beginTransaction();
+                    
+                    // Lock the rows being changed and check nobody saved them since the client read them
+                    $guarded = array_merge($updates, $deletes);
+                    $guardedIds = array_map('intval', array_column($guarded, 'id'));
+                    
+                    if (!empty($guardedIds)) {
+                        $placeholders = implode(',', array_fill(0, count($guardedIds), '?'));
+                        $stmt = $db->prepare('
+                            SELECT ' . ITEM_COLUMNS . " 
+                            FROM shopping_items 
+                            WHERE list_id = ? AND deleted_at IS NULL AND id IN ($placeholders)
+                            FOR UPDATE
+                        ");
+                        $stmt->execute(array_merge([$listId], $guardedIds));
+                        $currentItems = array_column($stmt->fetchAll(), null, 'id');
+                        
+                        $conflicts = [];
+                        foreach ($guarded as $change) {
+                            $current = $currentItems[$change['id']] ?? null;
+                            if ($current && array_key_exists('base_updated_at', $change)
+                                && $current['updated_at'] !== $change['base_updated_at']) {
+                                $conflicts[] = formatItem($current);
+                            }
+                        }
+                        
+                        if (!empty($conflicts)) {
+                            $db->rollBack();
+                            sendJsonResponse(['error' => 'Items were modified on another device', 'conflicts' => $conflicts], 409);
+                        }
+                    }
+                    
+                    // Deletes (moved to the trash)
+                    $stmt = $db->prepare('UPDATE shopping_items SET deleted_at = NOW() WHERE id = :id AND list_id = :list_id AND deleted_at IS NULL');
+                    foreach ($deletes as $change) {
+                        $stmt->bindValue(':id', $change['id'], PDO::PARAM_INT);
+                        $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                        $stmt->execute();
+                        
+                        if ($stmt->rowCount() > 0) {
+                            recordItemEvent($db, $listId, 'delete', $change['id']);
+                        }
+                    }
+                    
+                    // Updates (only the fields that changed)
+                    foreach ($updates as $change) {
+                        $fields = array_intersect_key($change, array_flip(EDITABLE_FIELDS));
+                        if (empty($fields)) {
+                            continue;
+                        }
+                        
+                        $setClause = 'updated_at = NOW(6)';
+                        if (array_key_exists('completed', $fields)) {
+                            $setClause .= ', completed_at = ' . ($fields['completed'] ? 'NOW()' : 'NULL');
+                            $fields['completed'] = (int)(bool)$fields['completed'];
+                        }
+                        if (array_key_exists('quantity', $fields)) {
+                            $fields['quantity'] = parseQuantity($fields['quantity']);
+                        }
+                        if (array_key_exists('price', $fields)) {
+                            $fields['price'] = parseAmount($fields['price']);
+                        }
+                        $stmt = $db->prepare('UPDATE shopping_items SET ' . $setClause . ', ' . implode(' = ?, ', array_keys($fields)) . ' = ? WHERE id = ? AND list_id = ? AND deleted_at IS NULL');
+                        $values = array_values($fields);
+                        $values[] = $change['id'];
+                        $values[] = $listId;
+                        $stmt->execute($values);
+                        
+                        $item = fetchItem($db, $change['id'], $listId);
+                        if ($item) {
+                            recordItemEvent($db, $listId, 'update', $item['id'], $item);
+                            if (!empty($fields['completed'])) {
+                                rememberPrice($db, $userId, $item);
+                            }
+                        }
+                    }
+                    
+                    // Creates - client_id lets the client map its temporary IDs
+                    $created = [];
+                    $stmt = $db->prepare('
+                        INSERT INTO shopping_items 
+                        (user_id, list_id, text, quantity, unit, price, category, position, description, completed, added_at)
+                        VALUES 
+                        (:user_id, :list_id, :text, :quantity, :unit, :price, :category, :position, :description, :completed, NOW())
+                    ');
+                    foreach ($creates as $item) {
+                        $position = isset($item['position']) ? (float)$item['position'] : topPosition($db, $listId);
+                        $price = array_key_exists('price', $item) ? parseAmount($item['price']) : lastPrice($db, $userId, $item['text']);
+                        $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+                        $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                        $stmt->bindValue(':text', trim($item['text']), PDO::PARAM_STR);
+                        $stmt->bindValue(':quantity', parseQuantity($item['quantity'] ?? 1), PDO::PARAM_STR);
+                        $stmt->bindValue(':unit', $item['unit'] ?? 'szt', PDO::PARAM_STR);
+                        $stmt->bindValue(':price', $price, $price === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+                        $stmt->bindValue(':category', $item['category'] ?? null, isset($item['category']) ? PDO::PARAM_STR : PDO::PARAM_NULL);
+                        $stmt->bindValue(':position', $position, PDO::PARAM_STR);
+                        $stmt->bindValue(':description', trim($item['description'] ?? ''), PDO::PARAM_STR);
+                        $stmt->bindValue(':completed', boolval($item['completed'] ?? false), PDO::PARAM_BOOL);
+                        $stmt->execute();
+                        
+                        $newId = (int)$db->lastInsertId();
+                        if (isset($item['client_id'])) {
+                            $created[$item['client_id']] = $newId;
+                        }
+                        $newItem = fetchItem($db, $newId, $listId);
+                        recordItemEvent($db, $listId, 'create', $newId, $newItem);
+                        recordProductHistory($db, $userId, $newItem);
+                    }
+                    
+                    $db->commit();
+                    
+                    sendJsonResponse([
+                        'message' => 'Changes saved successfully',
+                        'created' => (object)$created,
+                        'items' => fetchItems($db, $listId)
+                    ]);
+                } catch (Exception $e) {
+                    if ($db->inTransaction()) {
+                        $db->rollBack();
+                    }
+                    error_log("Batch error: " . $e->getMessage());
+                    sendJsonResponse(['error' => 'Failed to save changes'], 500);
+                }
+            } else {
+                sendJsonResponse(['error' => 'Invalid update action'], 400);
             }
-            
             break;
-    }
-    
-
             
         case 'DELETE':
             // Delete item or perform bulk operations
             $itemId = $_GET['id'] ?? null;
             $action = $_GET['action'] ?? null;
             
-            if ($itemId) {
-                // Delete single item
-                $stmt = $db->prepare('DELETE FROM shopping_items WHERE id = :id AND user_id = :user_id');
+            if ($action === 'purge') {
+                // Remove one trashed item for good
+                $stmt = $db->prepare('DELETE FROM shopping_items WHERE id = :id AND list_id = :list_id AND deleted_at IS NOT NULL');
                 $stmt->bindValue(':id', $itemId, PDO::PARAM_INT);
-                $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+                $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                $stmt->execute();
+                
+                if ($stmt->rowCount() === 0) {
+                    sendJsonResponse(['error' => 'Item not found in trash'], 404);
+                    break;
+                }
+                
+                sendJsonResponse(['message' => 'Item deleted permanently']);
+            } elseif ($action === 'empty_trash') {
+                // Remove every trashed item of the list for good
+                $stmt = $db->prepare('DELETE FROM shopping_items WHERE list_id = :list_id AND deleted_at IS NOT NULL');
+                $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                $stmt->execute();
+                $purgedCount = $stmt->rowCount();
+                
+                sendJsonResponse(['message' => "{$purgedCount} items deleted permanently"]);
+            } elseif ($itemId) {
+                // Move a single item to the trash
+                $stmt = $db->prepare('UPDATE shopping_items SET deleted_at = NOW() WHERE id = :id AND list_id = :list_id AND deleted_at IS NULL');
+                $stmt->bindValue(':id', $itemId, PDO::PARAM_INT);
+                $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
                 $stmt->execute();
                 
                 if ($stmt->rowCount() === 0) {
@@ -203,23 +775,19 @@ try {
                     break;
                 }
                 
+                recordItemEvent($db, $listId, 'delete', $itemId);
+                
                 sendJsonResponse(['message' => 'Item deleted successfully']);
             } elseif ($action === 'remove_checked') {
-                // Remove all checked items
-                $stmt = $db->prepare('DELETE FROM shopping_items WHERE user_id = :user_id AND completed = 1');
-                $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
-                $stmt->execute();
-                
-                $deletedCount = $stmt->rowCount();
+                // Move all checked items to the trash
+                $deletedIds = trashItemsWhere($db, $listId, 'completed = 1');
+                $deletedCount = count($deletedIds);
                 
                 sendJsonResponse(['message' => "{$deletedCount} items deleted successfully"]);
             } elseif ($action === 'clear') {
-                // Clear entire list
-                $stmt = $db->prepare('DELETE FROM shopping_items WHERE user_id = :user_id');
-                $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
-                $stmt->execute();
-                
-                $deletedCount = $stmt->rowCount();
+                // Move the entire list to the trash
+                $deletedIds = trashItemsWhere($db, $listId, '1 = 1');
+                $deletedCount = count($deletedIds);
                 
                 sendJsonResponse(['message' => "{$deletedCount} items deleted successfully"]);
             } else {
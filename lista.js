@@ -1,7 +1,16 @@
 // ===== DATABASE MODULE =====
 const DatabaseModule = (() => {
     const API_BASE_URL = 'https://stronakszona.pl/lista';
+    const QUEUE_DB_NAME = 'shopping_list_offline';
+    const QUEUE_STORE = 'mutations';
+    const MAX_CONFLICT_ATTEMPTS = 3; // Merges of one queued change before it is given up
+    // Identifies this tab so the change feed can skip its own changes
+    const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
     let isOnline = true;
+    let currentListId = null;
+    let queueDbPromise = null;
+    let isReplaying = false;
+    let tempIdCounter = 0;
 
     // Check network status
     const checkNetworkStatus = () => {
@@ -27,6 +36,14 @@ const DatabaseModule = (() => {
             return 'Żądany zasób nie został znaleziony.';
         }
         
+        if (error.status === 403) {
+            return 'Nie masz uprawnień do tej operacji.';
+        }
+        
+        if (error.status === 409) {
+            return 'Produkt został zmieniony na innym urządzeniu.';
+        }
+        
         if (error.message.includes('500')) {
             return 'Błąd serwera. Spróbuj ponownie później.';
         }
@@ -40,7 +57,9 @@ const DatabaseModule = (() => {
     const apiRequest = async (endpoint, method = 'GET', data = null) => {
         // Check network status before making request
         if (!checkNetworkStatus()) {
-            throw new Error('Brak połączenia internetowego');
+            const offlineError = new Error('Brak połączenia internetowego');
+            offlineError.offline = true;
+            throw offlineError;
         }
 
         try {
@@ -48,6 +67,7 @@ const DatabaseModule = (() => {
                 method: method,
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-Client-Id': CLIENT_ID
                 },
                 credentials: 'include'
             };
@@ -61,15 +81,315 @@ const DatabaseModule = (() => {
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
                 const errorMessage = errorData.error || errorData.message || `HTTP error! status: ${response.status}`;
-                throw new Error(errorMessage);
+                const httpError = new Error(errorMessage);
+                httpError.status = response.status;
+                httpError.data = errorData;
+                throw httpError;
             }
             
             return await response.json();
         } catch (error) {
             console.error('API request failed:', error);
             const userFriendlyMessage = getErrorMessage(error);
-            throw new Error(userFriendlyMessage);
+            const friendlyError = new Error(userFriendlyMessage);
+            // fetch() rejects with a TypeError only when the server could not be reached
+            friendlyError.offline = error instanceof TypeError || !isOnline;
+            friendlyError.status = error.status;
+            friendlyError.data = error.data;
+            throw friendlyError;
+        }
+    };
+
+    // ===== OFFLINE MUTATION QUEUE =====
+
+    /**
+     * Open the IndexedDB database holding mutations made while offline
+     */
+    const openQueueDB = () => {
+        if (!queueDbPromise) {
+            queueDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(QUEUE_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return queueDbPromise;
+    };
+
+    /**
+     * Run a single operation on the queue store and resolve with its result
+     */
+    const queueTransaction = async (mode, operation) => {
+        const db = await openQueueDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(QUEUE_STORE, mode);
+            const request = operation(transaction.objectStore(QUEUE_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    const getQueuedMutations = () => queueTransaction('readonly', store => store.getAll());
+
+    const getPendingCount = () => queueTransaction('readonly', store => store.count());
+
+    const removeQueuedMutation = (seq) => queueTransaction('readwrite', store => store.delete(seq));
+
+    const clearQueue = () => queueTransaction('readwrite', store => store.clear());
+
+    /**
+     * Temporary IDs are negative so they never collide with server IDs
+     * and still survive parseInt() in the click handlers
+     */
+    const createTempId = () => -(Date.now() * 100 + (tempIdCounter++ % 100));
+
+    const isTempId = (id) => Number(id) < 0;
+
+    /**
+     * Replace a temporary item ID in a queued endpoint with the real one
+     */
+    const remapEndpoint = (endpoint, tempId, realId) => {
+        return endpoint.replace(new RegExp(`([?&]id=)${tempId}(?=&|$)`), `$1${realId}`);
+    };
+
+    /**
+     * Replace a temporary item ID everywhere inside a queued mutation
+     */
+    const remapMutation = (mutation, tempId, realId) => {
+        const remapped = { ...mutation, endpoint: remapEndpoint(mutation.endpoint, tempId, realId) };
+        const data = mutation.data;
+
+        // Batch saves reference items inside the payload
+        if (data && (data.updates || data.deletes)) {
+            const remapChange = (change) => Number(change.id) === Number(tempId) ? { ...change, id: realId } : change;
+            remapped.data = {
+                ...data,
+                updates: (data.updates || []).map(remapChange),
+                deletes: (data.deletes || []).map(remapChange)
+            };
+        }
+
+        // Restores from the trash list the items to bring back
+        if (data && Array.isArray(data.ids)) {
+            remapped.data = {
+                ...data,
+                ids: data.ids.map(id => Number(id) === Number(tempId) ? realId : id)
+            };
+        }
+
+        // Reorders reference their new neighbours
+        if (data && ('previous_id' in data || 'next_id' in data)) {
+            const remapNeighbour = (id) => Number(id) === Number(tempId) ? realId : id;
+            remapped.data = {
+                ...data,
+                previous_id: remapNeighbour(data.previous_id),
+                next_id: remapNeighbour(data.next_id)
+            };
+        }
+        return remapped;
+    };
+
+    /**
+     * Point every still-queued mutation at the server ID of a freshly created item
+     */
+    const remapQueuedIds = async (tempId, realId) => {
+        const db = await openQueueDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(QUEUE_STORE, 'readwrite');
+            const request = transaction.objectStore(QUEUE_STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.update(remapMutation(cursor.value, tempId, realId));
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    /**
+     * Base a queued edit on the item versions earlier replays produced,
+     * not on the stale one the client knew when the edit was queued
+     */
+    const rebaseMutation = (mutation, versions) => {
+        const data = mutation.data;
+        if (!data) return mutation;
+
+        if ('base_updated_at' in data) {
+            const match = mutation.endpoint.match(/[?&]id=(-?\d+)/);
+            if (match && versions[match[1]] !== undefined) {
+                return { ...mutation, data: { ...data, base_updated_at: versions[match[1]] } };
+            }
+        }
+
+        // Batch saves carry a base version per changed item
+        if (Array.isArray(data.updates) || Array.isArray(data.deletes)) {
+            const rebaseChange = (change) => 'base_updated_at' in change && versions[change.id] !== undefined
+                ? { ...change, base_updated_at: versions[change.id] }
+                : change;
+            return {
+                ...mutation,
+                data: {
+                    ...data,
+                    updates: (data.updates || []).map(rebaseChange),
+                    deletes: (data.deletes || []).map(rebaseChange)
+                }
+            };
+        }
+        return mutation;
+    };
+
+    /**
+     * Remember the item versions a replayed mutation returned
+     */
+    const collectVersions = (result, versions) => {
+        if (!result) return;
+        const items = [result.item, ...(Array.isArray(result.items) ? result.items : [])];
+        items.forEach(item => {
+            if (item && item.id !== undefined && item.updated_at !== undefined) {
+                versions[item.id] = item.updated_at;
+            }
+        });
+    };
+
+    /**
+     * Send a mutation to the server, or store it for later when we are offline.
+     * Once something is queued, later mutations are queued too so they replay in order.
+     */
+    const mutate = async (endpoint, method, data = null, tempId = null) => {
+        const hasPending = await getPendingCount().catch(() => 0);
+
+        if (!hasPending) {
+            try {
+                return await apiRequest(endpoint, method, data);
+            } catch (error) {
+                if (!error.offline) throw error;
+            }
+        }
+
+        await queueTransaction('readwrite', store => store.add({
+            endpoint,
+            method,
+            data,
+            tempId,
+            queuedAt: Date.now()
+        }));
+        return { queued: true };
+    };
+
+    /**
+     * Tell failures worth another try (no connection, expired session, busy or failing server)
+     * from a definitive rejection of a single change
+     */
+    const isTemporaryFailure = (error) => {
+        if (error.offline || !error.status) return true;
+        if ([401, 408, 429].includes(error.status) || error.status >= 500) return true;
+
+        // The API explains a missing list permission in JSON; a bare 403 comes from the session layer
+        return error.status === 403 && !(error.data && error.data.error);
+    };
+
+    /**
+     * Replay queued mutations in order. Stops at the first temporary failure and keeps
+     * that mutation and the rest; mutations rejected for good (e.g. item already deleted)
+     * are dropped and returned in `rejected`. `halted` says why the replay stopped early
+     * ('offline', 'auth' or 'retry'). Also returns a map of temporary IDs to the server IDs
+     * assigned on replay and the item versions (id => updated_at) the server reported.
+     *
+     * A change refused because the item was saved on another device goes to resolveConflict
+     * (mutation, { item } or { conflicts }), which resolves with the mutation to send instead,
+     * or null when the server copy wins.
+     */
+    const replayQueue = async (resolveConflict = null) => {
+        const summary = { idMap: {}, versions: {}, synced: 0, rejected: [], halted: null };
+        if (isReplaying || !checkNetworkStatus()) return summary;
+
+        isReplaying = true;
+        try {
+            // Changes made while the replay runs are queued behind it and sent in another pass
+            let mutations = await getQueuedMutations();
+            while (mutations.length > 0 && !summary.halted) {
+                for (const queued of mutations) {
+                    if (!await replayMutation(queued, summary, resolveConflict)) break;
+                }
+                mutations = summary.halted ? [] : await getQueuedMutations();
+            }
+        } finally {
+            isReplaying = false;
+        }
+        return summary;
+    };
+
+    /**
+     * Send one queued mutation and take it off the queue once it is settled.
+     * Resolves with false when the replay has to stop and keep the rest of the queue.
+     */
+    const replayMutation = async (queued, summary, resolveConflict) => {
+        // Earlier replays may have assigned real IDs and produced newer item versions
+        let mutation = queued;
+        Object.keys(summary.idMap).forEach(tempId => {
+            mutation = remapMutation(mutation, tempId, summary.idMap[tempId]);
+        });
+        mutation = rebaseMutation(mutation, summary.versions);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await apiRequest(mutation.endpoint, mutation.method, mutation.data);
+                collectVersions(result, summary.versions);
+
+                // Single creates return the item, batch saves a client_id => id map
+                const assigned = { ...(result && result.created) };
+                if (mutation.tempId && result && result.id) {
+                    assigned[mutation.tempId] = result.id;
+                }
+                for (const tempId of Object.keys(assigned)) {
+                    summary.idMap[tempId] = assigned[tempId];
+                    await remapQueuedIds(tempId, assigned[tempId]);
+                }
+                summary.synced++;
+            } catch (error) {
+                if (isTemporaryFailure(error)) {
+                    summary.halted = error.offline ? 'offline' : (error.status === 401 ? 'auth' : 'retry');
+                    return false;
+                }
+
+                const conflict = error.status === 409 && error.data && (error.data.item || error.data.conflicts);
+                if (conflict && resolveConflict && attempt < MAX_CONFLICT_ATTEMPTS) {
+                    // Later changes of these items build on the server copy from now on
+                    collectVersions({ items: error.data.conflicts || [error.data.item] }, summary.versions);
+
+                    const replacement = await resolveConflict(mutation, error.data);
+                    if (replacement) {
+                        mutation = rebaseMutation(replacement, summary.versions);
+                        continue;
+                    }
+                } else {
+                    console.error('Dropping queued mutation rejected by server:', mutation, error);
+                    summary.rejected.push(mutation);
+                }
+            }
+            break;
         }
+
+        await removeQueuedMutation(mutation.seq);
+        return true;
+    };
+
+    /**
+     * Select the list all item calls work on
+     */
+    const setCurrentList = (listId) => {
+        currentListId = listId;
+    };
+
+    // Add the current list to an item endpoint
+    const withList = (endpoint) => {
+        const separator = endpoint.includes('?') ? '&' : '?';
+        return `${endpoint}${separator}list_id=${currentListId}`;
     };
 
     // API methods
@@ -86,32 +406,204 @@ const DatabaseModule = (() => {
     };
 
     const getShoppingList = async () => {
-        return apiRequest('/items.php', 'GET');
+        return apiRequest(withList('/items.php'), 'GET');
     };
 
     const addItem = async (item) => {
-        return apiRequest('/items.php', 'POST', item);
+        const tempId = createTempId();
+        const result = await mutate(withList('/items.php'), 'POST', item, tempId);
+        if (!result.queued) return result;
+
+        // Optimistic copy shaped like the server response
+        return {
+            ...item,
+            id: tempId,
+            added_at: new Date().toISOString(),
+            completed_at: null,
+            updated_at: null,
+            pending: true
+        };
     };
 
     const updateItem = async (id, updates) => {
-        return apiRequest(`/items.php?id=${id}`, 'PUT', updates);
+        return mutate(withList(`/items.php?id=${id}`), 'PUT', updates);
+    };
+
+    // Move an item between two neighbours; the server picks the position
+    const reorderItem = async (id, previousId, nextId) => {
+        return mutate(withList(`/items.php?action=reorder&id=${id}`), 'PUT', {
+            previous_id: previousId,
+            next_id: nextId
+        });
     };
 
     const deleteItem = async (id) => {
         console.log('Deleting item with ID:', id);
-        return apiRequest(`/items.php?id=${id}`, 'DELETE');
+        return mutate(withList(`/items.php?id=${id}`), 'DELETE');
     };
     const removeCheckedItems = async () => {
-        return apiRequest('/items.php?action=remove_checked', 'DELETE');
+        return apiRequest(withList('/items.php?action=remove_checked'), 'DELETE');
     };
 
     const clearList = async () => {
-        return apiRequest('/items.php?action=clear', 'DELETE');
+        return apiRequest(withList('/items.php?action=clear'), 'DELETE');
+    };
+
+    // Save edit mode changes in one transaction
+    // changes: { creates: [...], updates: [{ id, ... }], deletes: [{ id }] }
+    const saveListChanges = async (changes) => {
+        return mutate(withList('/items.php?action=batch'), 'PUT', changes);
+    };
+
+    // Trash: deleted items are kept for a while and can be restored
+    const getTrash = async () => {
+        return apiRequest(withList('/items.php?action=trash'), 'GET');
+    };
+
+    const restoreItems = async (ids) => {
+        return mutate(withList('/items.php?action=restore'), 'PUT', { ids });
+    };
+
+    const purgeItem = async (id) => {
+        return apiRequest(withList(`/items.php?action=purge&id=${id}`), 'DELETE');
+    };
+
+    const emptyTrash = async () => {
+        return apiRequest(withList('/items.php?action=empty_trash'), 'DELETE');
+    };
+
+    // Empty the expired trash and put due staples back; editors only, never queued offline
+    const maintainList = async () => {
+        return apiRequest(withList('/items.php?action=maintain'), 'PUT');
+    };
+
+    // Staples: products that come back on the list on a schedule
+    const getStaples = async () => {
+        return apiRequest(withList('/staples.php'), 'GET');
+    };
+
+    const createStaple = async (staple) => {
+        return apiRequest(withList('/staples.php'), 'POST', staple);
+    };
+
+    const deleteStaple = async (id) => {
+        return apiRequest(withList(`/staples.php?id=${id}`), 'DELETE');
+    };
+
+    // Templates: reusable sets of products of the user
+    const getTemplates = async () => {
+        return apiRequest('/templates.php', 'GET');
+    };
+
+    const createTemplate = async (template) => {
+        return apiRequest('/templates.php', 'POST', template);
+    };
+
+    const updateTemplate = async (id, template) => {
+        return apiRequest(`/templates.php?id=${id}`, 'PUT', template);
+    };
+
+    const deleteTemplate = async (id) => {
+        return apiRequest(`/templates.php?id=${id}`, 'DELETE');
+    };
+
+    // Trips: archive of finished shopping
+    const getTrips = async () => {
+        return apiRequest(withList('/trips.php'), 'GET');
+    };
+
+    const finishTrip = async () => {
+        return apiRequest(withList('/trips.php'), 'POST');
+    };
+
+    const getPurchases = async () => {
+        return apiRequest(withList('/trips.php?action=purchases'), 'GET');
+    };
+
+    // Named lists
+    const getLists = async () => {
+        return apiRequest('/lists.php', 'GET');
+    };
+
+    const createList = async (name) => {
+        return apiRequest('/lists.php', 'POST', { name });
+    };
+
+    const updateList = async (id, updates) => {
+        return apiRequest(`/lists.php?id=${id}`, 'PUT', updates);
+    };
+
+    const deleteList = async (id) => {
+        return apiRequest(`/lists.php?id=${id}`, 'DELETE');
+    };
+
+    // Previously added products for the add form suggestions
+    const getProductHistory = async () => {
+        return apiRequest('/history.php', 'GET');
+    };
+
+    const forgetProduct = async (name) => {
+        return apiRequest(`/history.php?name=${encodeURIComponent(name)}`, 'DELETE');
+    };
+
+    // Sharing lists with other users
+    const getListMembers = async (listId) => {
+        return apiRequest(`/sharing.php?list_id=${listId}`, 'GET');
+    };
+
+    const inviteMember = async (listId, username, role) => {
+        return apiRequest(`/sharing.php?list_id=${listId}`, 'POST', { username, role });
+    };
+
+    const updateMemberRole = async (listId, userId, role) => {
+        return apiRequest(`/sharing.php?list_id=${listId}&user_id=${userId}`, 'PUT', { role });
+    };
+
+    const removeMember = async (listId, userId) => {
+        return apiRequest(`/sharing.php?list_id=${listId}&user_id=${userId}`, 'DELETE');
+    };
+
+    const getInvites = async () => {
+        return apiRequest('/sharing.php?action=invites', 'GET');
+    };
+
+    const acceptInvite = async (listId) => {
+        return apiRequest(`/sharing.php?action=accept&list_id=${listId}`, 'POST');
+    };
+
+    const declineInvite = async (listId) => {
+        return apiRequest(`/sharing.php?action=decline&list_id=${listId}`, 'POST');
+    };
+
+    // Read-only links to a list for people without an account
+    const getPublicLinks = async (listId) => {
+        return apiRequest(`/public_links.php?list_id=${listId}`, 'GET');
+    };
+
+    const createPublicLink = async (listId, days) => {
+        return apiRequest(`/public_links.php?list_id=${listId}`, 'POST', { days });
+    };
+
+    const deletePublicLink = async (listId, linkId) => {
+        return apiRequest(`/public_links.php?list_id=${listId}&id=${linkId}`, 'DELETE');
+    };
+
+    const getPublicLinkUrl = (token) => `${API_BASE_URL}/public.php?token=${encodeURIComponent(token)}`;
+
+    /**
+     * Open the server-sent change feed of the current user
+     */
+    const openEventStream = (since = null) => {
+        const params = new URLSearchParams({ client_id: CLIENT_ID, list_id: currentListId });
+        if (since !== null) params.set('since', since);
+        return new EventSource(`${API_BASE_URL}/events.php?${params}`, { withCredentials: true });
     };
 
-    // New method to replace entire list
-    const replaceShoppingList = async (items) => {
-        return apiRequest('/items.php?action=replace', 'PUT', { items });
+    // Polling fallback for the change feed
+    const getItemEvents = async (since = null) => {
+        const params = new URLSearchParams({ mode: 'poll', client_id: CLIENT_ID, list_id: currentListId });
+        if (since !== null) params.set('since', since);
+        return apiRequest(`/events.php?${params}`, 'GET');
     };
 
     return {
@@ -121,11 +613,52 @@ const DatabaseModule = (() => {
         getShoppingList,
         addItem,
         updateItem,
+        reorderItem,
         deleteItem,
         removeCheckedItems,
         clearList,
-        replaceShoppingList,
-        checkNetworkStatus
+        saveListChanges,
+        getTrash,
+        restoreItems,
+        purgeItem,
+        emptyTrash,
+        maintainList,
+        getStaples,
+        createStaple,
+        deleteStaple,
+        getTemplates,
+        createTemplate,
+        updateTemplate,
+        deleteTemplate,
+        getTrips,
+        finishTrip,
+        getPurchases,
+        setCurrentList,
+        getLists,
+        createList,
+        updateList,
+        deleteList,
+        getProductHistory,
+        forgetProduct,
+        getListMembers,
+        inviteMember,
+        updateMemberRole,
+        removeMember,
+        getInvites,
+        acceptInvite,
+        declineInvite,
+        getPublicLinks,
+        createPublicLink,
+        deletePublicLink,
+        getPublicLinkUrl,
+        checkNetworkStatus,
+        replayQueue,
+        getPendingCount,
+        clearQueue,
+        createTempId,
+        isTempId,
+        openEventStream,
+        getItemEvents
     };
 })();
 
@@ -310,798 +843,5456 @@ const SessionManager = (() => {
     };
 })();
 
-// ===== UTILITY FUNCTIONS =====
-const Utils = (() => {
+// ===== LOCAL LIST CACHE =====
+const ListCache = (() => {
+    const CACHE_PREFIX = 'shopping_list_cache_';
+    const LISTS_PREFIX = 'shopping_list_lists_';
+
+    // Usernames are encoded so the ':' separator cannot appear in them
+    const getUserPrefix = (username) => `${CACHE_PREFIX}${encodeURIComponent(username)}:`;
+
+    const getKey = (username, listId) => getUserPrefix(username) + listId;
+
+    const getListsKey = (username) => LISTS_PREFIX + encodeURIComponent(username);
+
     /**
-     * Escape HTML special characters to prevent XSS
+     * Persist the last-known items of a user's list, loaded from the server at savedAt
      */
-    const escapeHtml = (text) => {
-        if (typeof text !== 'string') return text;
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, m => map[m]);
+    const save = (username, listId, items, savedAt = Date.now()) => {
+        try {
+            localStorage.setItem(getKey(username, listId), JSON.stringify({
+                items: items,
+                savedAt: savedAt
+            }));
+            return true;
+        } catch (error) {
+            console.error('Error saving list cache:', error);
+            return false;
+        }
     };
-    
+
     /**
-     * Debounce function to limit how often a function can be called
+     * Get the cached items of a user's list ({ items, savedAt } or null)
      */
-    const debounce = (func, wait) => {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    const load = (username, listId) => {
+        try {
+            const cached = localStorage.getItem(getKey(username, listId));
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            console.error('Error loading list cache:', error);
+            return null;
+        }
     };
-    
+
     /**
-     * Format date to readable format
+     * Persist the user's lists (names, ids) for offline startup
      */
-    const formatDate = (dateString) => {
-        if (!dateString) return '';
-        const options = { year: 'numeric', month: 'short', day: 'numeric' };
-        return new Date(dateString).toLocaleDateString('pl-PL', options);
-    };
-    
-    return {
-        escapeHtml,
-        debounce,
-        formatDate
+    const saveLists = (username, lists) => {
+        try {
+            localStorage.setItem(getListsKey(username), JSON.stringify(lists));
+            return true;
+        } catch (error) {
+            console.error('Error saving lists cache:', error);
+            return false;
+        }
     };
-})();
 
-// ===== APPLICATION MODULE =====
-const ShoppingListApp = (() => {
-    // DOM Elements
-    let elements = {};
+    /**
+     * Get the cached lists of a user (array or null)
+     */
+    const loadLists = (username) => {
+        try {
+            const cached = localStorage.getItem(getListsKey(username));
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            console.error('Error loading lists cache:', error);
+            return null;
+        }
+    };
 
-    // Application state
-    let currentUser = null;
-    let shoppingList = [];
-    let failedLoginAttempts = 0;
-    const MAX_LOGIN_ATTEMPTS = 5;
-    const LOCKOUT_TIME = 5 * 60 * 1000; // 5 minutes
-    let lockoutUntil = 0;
-    let isEditingMode = false;
-    let originalList = [];
-
-    // Initialize the application
-    const init = () => {
-        initializeElements();
-        bindEvents();
-        checkSavedSession();
-        loadThemePreference();
-        setupNetworkListener();
-        prefillRememberMe();
+    /**
+     * Remove everything cached for a user
+     */
+    const clear = (username) => {
+        try {
+            const prefix = getUserPrefix(username);
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => localStorage.removeItem(key));
+            localStorage.removeItem(getListsKey(username));
+            return true;
+        } catch (error) {
+            console.error('Error clearing list cache:', error);
+            return false;
+        }
     };
 
-    // Initialize DOM elements
-    const initializeElements = () => {
-        elements = {
-            btnEditList: document.getElementById('btn-edit-list'),
-            btnRemoveChecked: document.getElementById('btn-remove-checked'),
-            btnClearList: document.getElementById('btn-clear-list'),
-            authSection: document.getElementById('auth-section'),
-            appSection: document.getElementById('app-section'),
-            currentUserSpan: document.getElementById('current-user'),
-            loginTab: document.getElementById('login-tab'),
-            registerTab: document.getElementById('register-tab'),
-            tabs: document.querySelectorAll('.tab'),
-            loginUsername: document.getElementById('login-username'),
-            loginPassword: document.getElementById('login-password'),
-            registerUsername: document.getElementById('register-username'),
-            registerPassword: document.getElementById('register-password'),
-            registerConfirm: document.getElementById('register-confirm'),
-            btnLogin: document.getElementById('btn-login'),
-            btnRegister: document.getElementById('btn-register'),
-            btnLogout: document.getElementById('btn-logout'),
-            newItemInput: document.getElementById('new-item'),
-            newQuantityInput: document.getElementById('new-quantity'),
-            newUnitSelect: document.getElementById('new-unit'),
-            newDescriptionInput: document.getElementById('new-description'),
-            btnAddItem: document.getElementById('btn-add-item'),
-            shoppingItems: document.getElementById('shopping-items'),
-            btnRefresh: document.getElementById('btn-refresh'),
-            btnSaveChanges: document.getElementById('btn-save-changes'),
-            btnCancelEdit: document.getElementById('btn-cancel-edit'),
-            notification: document.getElementById('notification'),
-            passwordStrengthBar: document.getElementById('password-strength-bar'),
-            passwordFeedback: document.getElementById('password-feedback'),
-            loginLoading: document.getElementById('login-loading'),
-            registerLoading: document.getElementById('register-loading'),
-            loginText: document.getElementById('login-text'),
-            registerText: document.getElementById('register-text'),
-            btnSettings: document.getElementById('btn-settings'),
-            settingsPanel: document.getElementById('settings-panel'),
-            settingsClose: document.querySelector('.settings-close'),
-            overlay: document.getElementById('overlay'),
-            themeSelect: document.getElementById('theme-select'),
-            rememberMe: document.getElementById('remember-me')
-        };
+    return {
+        save,
+        load,
+        saveLists,
+        loadLists,
+        clear
     };
+})();
 
-    // Prefill remember me checkbox based on stored preference
-    const prefillRememberMe = () => {
-        const rememberMe = SessionManager.getRememberMe();
-        if (elements.rememberMe) {
-            elements.rememberMe.checked = rememberMe;
+// ===== USER PREFERENCES =====
+const UserPreferences = (() => {
+    const PREFS_PREFIX = 'shopping_list_prefs_';
+
+    const getKey = (username) => PREFS_PREFIX + encodeURIComponent(username);
+
+    const getAll = (username) => {
+        try {
+            return JSON.parse(localStorage.getItem(getKey(username))) || {};
+        } catch (error) {
+            console.error('Error reading preferences:', error);
+            return {};
         }
     };
 
-    // Set up online/offline event listeners
-    const setupNetworkListener = () => {
-        window.addEventListener('online', handleNetworkChange);
-        window.addEventListener('offline', handleNetworkChange);
+    /**
+     * Get a stored preference of a user
+     */
+    const get = (username, key, defaultValue = null) => {
+        const prefs = getAll(username);
+        return key in prefs ? prefs[key] : defaultValue;
     };
 
-    // Handle network status changes
-    const handleNetworkChange = () => {
-        const isOnline = navigator.onLine;
-        if (isOnline) {
-            showNotification('Połączenie internetowe przywrócone', 'success');
-            // Try to sync any pending operations
-            if (currentUser) {
-                loadShoppingList();
-            }
-        } else {
-            showNotification('Brak połączenia internetowego', 'error');
+    /**
+     * Store a preference of a user
+     */
+    const set = (username, key, value) => {
+        try {
+            const prefs = getAll(username);
+            prefs[key] = value;
+            localStorage.setItem(getKey(username), JSON.stringify(prefs));
+            return true;
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            return false;
         }
     };
 
-    // Bind event listeners
-    const bindEvents = () => {
-        // Tab switching
-        elements.tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const tabName = tab.getAttribute('data-tab');
-                switchTab(tabName);
+    return {
+        get,
+        set
+    };
+})();
+
+// ===== PRODUCT CATEGORIES =====
+const Categories = (() => {
+    // Default order follows a typical walk through a Polish supermarket
+    const CATEGORIES = [
+        { id: 'warzywa', name: 'Warzywa' },
+        { id: 'owoce', name: 'Owoce' },
+        { id: 'pieczywo', name: 'Pieczywo' },
+        { id: 'nabial', name: 'Nabiał' },
+        { id: 'mieso', name: 'Mięso i wędliny' },
+        { id: 'ryby', name: 'Ryby' },
+        { id: 'mrozonki', name: 'Mrożonki' },
+        { id: 'suche', name: 'Makarony, kasze, mąka' },
+        { id: 'konserwy', name: 'Konserwy i słoiki' },
+        { id: 'przyprawy', name: 'Przyprawy i sosy' },
+        { id: 'slodycze', name: 'Słodycze i przekąski' },
+        { id: 'napoje', name: 'Napoje' },
+        { id: 'chemia', name: 'Chemia' },
+        { id: 'higiena', name: 'Higiena' },
+        { id: 'inne', name: 'Inne' }
+    ];
+    const DEFAULT_CATEGORY = 'inne';
+
+    // Word stems of product names; matched against the beginning of words
+    const DICTIONARY = {
+        warzywa: ['ziemniak', 'ziemniaczk', 'marchew', 'marchewk', 'cebul', 'czosn', 'pomidor', 'ogór', 'ogórk', 'sałat', 'papryk', 'kapust', 'brokuł', 'kalafior', 'pietruszk', 'seler', 'burak', 'buracz', 'por ', 'pory', 'rzodkiew', 'szpinak', 'cukini', 'bakłażan', 'dyni', 'dynia', 'fasolka szparagowa', 'koperek', 'szczypior', 'pieczark', 'grzyb', 'kalarep', 'rukol', 'natk', 'awokado', 'imbir'],
+        owoce: ['jabł', 'jabłk', 'gruszk', 'banan', 'pomarańcz', 'mandaryn', 'cytryn', 'limonk', 'grejpfrut', 'winogron', 'truskaw', 'malin', 'borówk', 'jagod', 'porzeczk', 'wiśni', 'czereśni', 'śliwk', 'brzoskwini', 'morel', 'arbuz', 'melon', 'kiwi', 'ananas', 'mango', 'granat'],
+        pieczywo: ['chleb', 'chlebek', 'bułk', 'bułeczk', 'bagietk', 'rogal', 'croissant', 'tost', 'graham', 'kajzer', 'pieczyw', 'chałk', 'pączk', 'drożdżówk', 'tortill'],
+        nabial: ['mleko', 'mlek', 'ser ', 'sery', 'serek', 'twaróg', 'twarożek', 'jogurt', 'kefir', 'maślank', 'śmietan', 'masło', 'masła', 'jaj', 'mozzarell', 'parmezan', 'feta', 'skyr', 'mascarpone'],
+        mieso: ['mięs', 'kurczak', 'kurczę', 'filet', 'pierś', 'udk', 'skrzydeł', 'wołowin', 'wieprzowin', 'schab', 'karkówk', 'boczek', 'szynk', 'kiełbas', 'parówk', 'salami', 'polędwic', 'mielon', 'indyk', 'kabanos', 'pasztet', 'żeberk', 'wędlin'],
+        ryby: ['ryb', 'łosoś', 'łososi', 'dorsz', 'mintaj', 'śledź', 'śledzi', 'makrel', 'pstrąg', 'tuńczyk', 'krewetk', 'paluszki rybne', 'sardyn'],
+        mrozonki: ['mrożon', 'lody', 'lodów', 'pierogi mrożone', 'frytki', 'pizza mrożona'],
+        suche: ['makaron', 'spaghetti', 'penne', 'ryż', 'kasz', 'mąk', 'płatki', 'musli', 'owsian', 'cukier', 'soczewic', 'ciecierzyc', 'fasola', 'bułka tarta', 'drożdże'],
+        konserwy: ['konserw', 'koncentrat', 'passat', 'pomidory w puszce', 'kukurydz', 'groszek konserwowy', 'ogórki konserwowe', 'dżem', 'powidł', 'miód', 'miodu', 'oliwk', 'słoik'],
+        przyprawy: ['sól', 'soli', 'pieprz', 'przypraw', 'ketchup', 'musztard', 'majonez', 'sos', 'ocet', 'olej', 'oliwa', 'bazyli', 'oregano', 'papryka słodka', 'cynamon', 'curry', 'kminek', 'majeranek', 'liść laurowy', 'ziele angielskie', 'bulion', 'kostka rosołowa'],
+        slodycze: ['czekolad', 'cukierk', 'baton', 'ciastk', 'ciasto', 'wafl', 'herbatnik', 'chips', 'chrupk', 'paluszki', 'orzesz', 'orzech', 'żelk', 'krakers', 'popcorn', 'bakali', 'rodzynk'],
+        napoje: ['woda', 'wody', 'wod ', 'sok', 'napój', 'napoj', 'cola', 'pepsi', 'lemoniad', 'piwo', 'piwa', 'wino', 'wina', 'kawa', 'kawy', 'herbat', 'kakao', 'oranżad', 'syrop', 'energetyk'],
+        chemia: ['proszek', 'płyn', 'kapsułki do prania', 'tabletki do zmywarki', 'domestos', 'ludwik', 'cif', 'worki na śmieci', 'gąbk', 'ścierk', 'zmywak', 'odplamiacz', 'płukank', 'wybielacz', 'folia', 'ręcznik papierowy', 'ręczniki papierowe', 'żarówk', 'bateri'],
+        higiena: ['papier toaletowy', 'chusteczk', 'mydło', 'mydła', 'szampon', 'odżywk', 'żel pod prysznic', 'pasta do zębów', 'szczoteczk', 'dezodorant', 'antyperspirant', 'krem', 'balsam', 'podpask', 'tampon', 'pielusz', 'patyczki', 'wacik', 'maszynk', 'pianka do golenia', 'nić dentystyczna']
+    };
+
+    /**
+     * Normalize a product name for dictionary lookups
+     */
+    const normalize = (text) => ' ' + String(text || '').toLowerCase().replace(/\s+/g, ' ').trim() + ' ';
+
+    /**
+     * Suggest a category for a product name, the longest matching stem wins
+     */
+    const suggest = (text) => {
+        const name = normalize(text);
+        let best = null;
+        let bestLength = 0;
+
+        Object.entries(DICTIONARY).forEach(([category, stems]) => {
+            stems.forEach(stem => {
+                if (stem.length > bestLength && name.includes(' ' + stem)) {
+                    best = category;
+                    bestLength = stem.length;
+                }
             });
         });
 
-        // Item interactions with event delegation
-        elements.shoppingItems.addEventListener('click', handleItemClick);
+        return best || DEFAULT_CATEGORY;
+    };
 
-        // Authentication
-        elements.btnRegister.addEventListener('click', register);
-        elements.btnLogin.addEventListener('click', login);
-        elements.btnLogout.addEventListener('click', logout);
+    /**
+     * Get the display name of a category
+     */
+    const getName = (id) => {
+        const category = CATEGORIES.find(c => c.id === (id || DEFAULT_CATEGORY));
+        return category ? category.name : id;
+    };
 
-        // Shopping list management
-        elements.btnAddItem.addEventListener('click', addItem);
-        elements.newItemInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') addItem();
+    /**
+     * Get the category of an item, unknown ones count as the default
+     */
+    const ofItem = (item) => {
+        return CATEGORIES.some(c => c.id === item.category) ? item.category : DEFAULT_CATEGORY;
+    };
+
+    /**
+     * Complete a stored order with categories missing from it
+     */
+    const getOrder = (storedOrder) => {
+        const known = CATEGORIES.map(c => c.id);
+        const order = (Array.isArray(storedOrder) ? storedOrder : []).filter(id => known.includes(id));
+        known.forEach(id => {
+            if (!order.includes(id)) order.push(id);
+        });
+        return order;
+    };
+
+    /**
+     * Group items by category following the given order
+     * Returns [{ id, name, items }] without empty groups
+     */
+    const group = (items, order) => {
+        return getOrder(order)
+            .map(id => ({
+                id,
+                name: getName(id),
+                items: items.filter(item => ofItem(item) === id)
+            }))
+            .filter(section => section.items.length > 0);
+    };
+
+    return {
+        CATEGORIES,
+        DEFAULT_CATEGORY,
+        suggest,
+        getName,
+        ofItem,
+        getOrder,
+        group
+    };
+})();
+
+// ===== PRODUCT HISTORY =====
+const ProductHistory = (() => {
+    const HISTORY_PREFIX = 'shopping_list_history_';
+    const RECENCY_DAYS = 30; // Age at which a product's weight halves
+    let entries = [];
+
+    const getKey = (username) => HISTORY_PREFIX + encodeURIComponent(username);
+
+    const normalize = (text) => String(text || '').trim().toLowerCase();
+
+    const persist = (username) => {
+        try {
+            localStorage.setItem(getKey(username), JSON.stringify(entries));
+        } catch (error) {
+            console.error('Error saving product history:', error);
+        }
+    };
+
+    /**
+     * Load the history stored on this device
+     */
+    const load = (username) => {
+        try {
+            entries = JSON.parse(localStorage.getItem(getKey(username))) || [];
+        } catch (error) {
+            console.error('Error loading product history:', error);
+            entries = [];
+        }
+        return entries;
+    };
+
+    /**
+     * Replace the history with the server copy
+     */
+    const setEntries = (username, serverEntries) => {
+        entries = serverEntries || [];
+        persist(username);
+    };
+
+    /**
+     * Count an added product, its fields become the new defaults
+     */
+    const remember = (username, item) => {
+        const key = normalize(item.text);
+        const existing = entries.find(entry => normalize(entry.text) === key);
+        const fields = {
+            text: item.text,
+            quantity: item.quantity,
+            unit: item.unit,
+            description: item.description || '',
+            category: item.category || null,
+            last_used_at: new Date().toISOString()
+        };
+        if (item.price !== null && item.price !== undefined) {
+            fields.price = item.price;
+        }
+
+        if (existing) {
+            Object.assign(existing, fields, { use_count: existing.use_count + 1 });
+        } else {
+            entries.push({ ...fields, use_count: 1 });
+        }
+        persist(username);
+    };
+
+    /**
+     * Keep the price of a bought product as the default for the next purchase
+     */
+    const rememberPrice = (username, item) => {
+        const entry = entries.find(entry => normalize(entry.text) === normalize(item.text));
+        if (!entry || item.price === null || item.price === undefined) return;
+
+        entry.price = item.price;
+        persist(username);
+    };
+
+    /**
+     * Drop a product from the history
+     */
+    const forget = (username, text) => {
+        const key = normalize(text);
+        entries = entries.filter(entry => normalize(entry.text) !== key);
+        persist(username);
+    };
+
+    /**
+     * Weight of an entry: frequent products first, fading with age
+     */
+    const score = (entry) => {
+        const lastUsed = Date.parse(String(entry.last_used_at).replace(' ', 'T'));
+        const ageDays = Number.isNaN(lastUsed) ? 0 : Math.max(0, (Date.now() - lastUsed) / 86400000);
+        return entry.use_count / (1 + ageDays / RECENCY_DAYS);
+    };
+
+    /**
+     * Find products matching the typed text, best matches first
+     * Names starting with the query rank above names only containing it
+     */
+    const search = (query, limit = 8) => {
+        const needle = normalize(query);
+        if (!needle) return [];
+
+        return entries
+            .map(entry => {
+                const name = normalize(entry.text);
+                if (name === needle) return null;
+
+                const position = name.indexOf(needle);
+                if (position === -1) return null;
+
+                const wordStart = position === 0 || name[position - 1] === ' ';
+                return { entry, rank: score(entry) * (position === 0 ? 4 : wordStart ? 2 : 1) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.rank - a.rank)
+            .slice(0, limit)
+            .map(match => match.entry);
+    };
+
+    /**
+     * Remove the history of a user from this device
+     */
+    const clear = (username) => {
+        entries = [];
+        try {
+            localStorage.removeItem(getKey(username));
+        } catch (error) {
+            console.error('Error clearing product history:', error);
+        }
+    };
+
+    return {
+        load,
+        setEntries,
+        remember,
+        rememberPrice,
+        forget,
+        search,
+        clear
+    };
+})();
+
+// ===== UNITS AND QUANTITIES =====
+const Units = (() => {
+    const UNITS = ['szt', 'kg', 'g', 'l', 'ml', 'opak', 'inna'];
+
+    // Decimal places allowed per unit, same as UNIT_PRECISION in config.php
+    const PRECISION = { szt: 1, kg: 3, g: 0, l: 3, ml: 0, opak: 1, inna: 2 };
+    const MAX_QUANTITY = 100000;
+
+    // Convertible units expressed in their base unit
+    const CONVERSIONS = {
+        kg: { base: 'g', factor: 1000 },
+        g: { base: 'g', factor: 1 },
+        l: { base: 'ml', factor: 1000 },
+        ml: { base: 'ml', factor: 1 }
+    };
+
+    // Prices of weights and volumes are per kg / l, so they survive unit conversions
+    const PRICE_UNITS = { g: 'kg', ml: 'l' };
+
+    const numberFormat = new Intl.NumberFormat('pl-PL', { maximumFractionDigits: 3 });
+
+    // Without thousands separators, so parseQuantity reads the value back
+    const inputFormat = new Intl.NumberFormat('pl-PL', { maximumFractionDigits: 3, useGrouping: false });
+
+    /**
+     * Parse a quantity typed with a dot or a Polish decimal comma (NaN if invalid)
+     */
+    const parseQuantity = (value) => {
+        if (typeof value === 'number') return value;
+
+        const text = String(value ?? '').trim().replace(',', '.');
+        return /^\d+(\.\d+)?$|^\.\d+$/.test(text) ? parseFloat(text) : NaN;
+    };
+
+    /**
+     * Round a quantity to the precision of its unit
+     */
+    const round = (quantity, unit) => {
+        const factor = Math.pow(10, PRECISION[unit] ?? 2);
+        return Math.round(quantity * factor) / factor;
+    };
+
+    /**
+     * Validate a quantity for a unit, returns an error message or null
+     */
+    const validate = (quantity, unit) => {
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            return 'Ilość musi być większa niż 0';
+        }
+
+        if (quantity > MAX_QUANTITY) {
+            return 'Ilość jest za duża';
+        }
+
+        const precision = PRECISION[unit] ?? 2;
+        if (Math.abs(round(quantity, unit) - quantity) > 1e-9) {
+            if (precision === 0) return `Ilość w ${unit} musi być liczbą całkowitą`;
+            return `Ilość w ${unit} może mieć najwyżej ${precision === 1 ? 'jedno miejsce' : `${precision} miejsca`} po przecinku`;
+        }
+
+        return null;
+    };
+
+    /**
+     * Check whether quantities in two units can be added or compared
+     */
+    const areCompatible = (unitA, unitB) => {
+        if (unitA === unitB) return true;
+        return Boolean(CONVERSIONS[unitA] && CONVERSIONS[unitB] &&
+            CONVERSIONS[unitA].base === CONVERSIONS[unitB].base);
+    };
+
+    /**
+     * Convert a quantity between compatible units (null if they are not)
+     */
+    const convert = (quantity, fromUnit, toUnit) => {
+        if (fromUnit === toUnit) return quantity;
+        if (!areCompatible(fromUnit, toUnit)) return null;
+        return quantity * CONVERSIONS[fromUnit].factor / CONVERSIONS[toUnit].factor;
+    };
+
+    /**
+     * Express a quantity in the base unit of its unit family: 1,5 kg -> 1500 g
+     */
+    const toBase = (quantity, unit) => {
+        const conversion = CONVERSIONS[unit];
+        return conversion
+            ? { quantity: quantity * conversion.factor, unit: conversion.base }
+            : { quantity, unit };
+    };
+
+    /**
+     * Compare two quantities in compatible units (negative, 0 or positive; null if incompatible)
+     */
+    const compare = (a, b) => {
+        const converted = convert(b.quantity, b.unit, a.unit);
+        return converted === null ? null : a.quantity - converted;
+    };
+
+    /**
+     * Pick the most readable unit for a quantity: 1500 g -> 1,5 kg, 0,25 l -> 250 ml
+     */
+    const normalize = (quantity, unit) => {
+        if (unit === 'g' && quantity >= 1000) return { quantity: round(quantity / 1000, 'kg'), unit: 'kg' };
+        if (unit === 'ml' && quantity >= 1000) return { quantity: round(quantity / 1000, 'l'), unit: 'l' };
+        if (unit === 'kg' && quantity < 1) return { quantity: round(quantity * 1000, 'g'), unit: 'g' };
+        if (unit === 'l' && quantity < 1) return { quantity: round(quantity * 1000, 'ml'), unit: 'ml' };
+        return { quantity, unit };
+    };
+
+    /**
+     * Add two quantities in compatible units, the result uses a readable unit
+     * Returns null when the units cannot be added
+     */
+    const add = (a, b) => {
+        const converted = convert(b.quantity, b.unit, a.unit);
+        if (converted === null) return null;
+
+        const sum = a.quantity + converted;
+        return CONVERSIONS[a.unit]
+            ? normalize(sum, a.unit)
+            : { quantity: round(sum, a.unit), unit: a.unit };
+    };
+
+    /**
+     * Unit a price of an item is given for: "kg" for grams, "l" for millilitres
+     */
+    const priceUnit = (unit) => PRICE_UNITS[unit] || unit;
+
+    /**
+     * Cost of a quantity at a unit price (null without a price)
+     */
+    const cost = (quantity, unit, price) => {
+        if (price === null || price === undefined) return null;
+        return convert(Number(quantity), unit, priceUnit(unit)) * price;
+    };
+
+    /**
+     * Format a number with a Polish decimal comma
+     */
+    const formatNumber = (quantity) => numberFormat.format(quantity);
+
+    /**
+     * Format a quantity for an input field or a file meant to be read back
+     */
+    const formatInput = (quantity) => inputFormat.format(quantity);
+
+    /**
+     * Format a quantity with its unit in the most readable form
+     */
+    const format = (quantity, unit) => {
+        const readable = normalize(Number(quantity), unit);
+        return `${formatNumber(readable.quantity)} ${readable.unit}`;
+    };
+
+    return {
+        UNITS,
+        parseQuantity,
+        round,
+        validate,
+        areCompatible,
+        convert,
+        compare,
+        normalize,
+        toBase,
+        add,
+        priceUnit,
+        cost,
+        formatNumber,
+        formatInput,
+        format
+    };
+})();
+
+// ===== DUPLICATE DETECTION =====
+const Duplicates = (() => {
+    // Polish inflection endings stripped to compare singular and plural forms
+    const ENDINGS = ['ami', 'ach', 'ow', 'om', 'y', 'i', 'e', 'a', 'o', 'u'];
+    const MIN_STEM_LENGTH = 3;
+
+    /**
+     * Strip Polish diacritics ("ł" has no combining form)
+     */
+    const stripDiacritics = (text) => {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ł/g, 'l');
+    };
+
+    /**
+     * Reduce a word to a rough stem: "jajka", "jajek", "jajko" -> "jajk"
+     */
+    const stem = (word) => {
+        // Fleeting "e" of the genitive plural: "bułek" -> "bułk"
+        if (word.length - 2 >= MIN_STEM_LENGTH && word.endsWith('ek')) {
+            return word.slice(0, -2) + 'k';
+        }
+
+        const ending = ENDINGS.find(e => word.endsWith(e) && word.length - e.length >= MIN_STEM_LENGTH);
+        return ending ? word.slice(0, -ending.length) : word;
+    };
+
+    /**
+     * Comparable key of a product name, ignoring case, diacritics and singular/plural
+     */
+    const nameKey = (text) => {
+        return stripDiacritics(String(text || '').toLowerCase())
+            .replace(/[^a-z0-9%\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(stem)
+            .join(' ');
+    };
+
+    /**
+     * Check whether two items are the same product with units that can be added
+     */
+    const isDuplicate = (a, b) => {
+        return a.id !== b.id &&
+            Boolean(a.completed) === Boolean(b.completed) &&
+            nameKey(a.text) === nameKey(b.text) &&
+            Units.areCompatible(a.unit, b.unit);
+    };
+
+    /**
+     * Find an uncompleted item on the list that a new item duplicates (or null)
+     */
+    const findDuplicate = (items, candidate) => {
+        return items.find(item => !item.completed && isDuplicate(item, { ...candidate, completed: false })) || null;
+    };
+
+    /**
+     * Merge two items into the first one: quantities are added, descriptions joined
+     */
+    const merge = (target, other) => {
+        const sum = Units.add(target, other);
+        const descriptions = [target.description, other.description]
+            .map(d => (d || '').trim())
+            .filter((d, index, all) => d && all.indexOf(d) === index);
+
+        return {
+            ...target,
+            quantity: sum.quantity,
+            unit: sum.unit,
+            description: descriptions.join('; ')
+        };
+    };
+
+    /**
+     * Merge all duplicates of a list, the first occurrence of a product is kept
+     * Returns { items, mergedCount }
+     */
+    const mergeAll = (items) => {
+        const result = [];
+        let mergedCount = 0;
+
+        items.forEach(item => {
+            const index = result.findIndex(kept => isDuplicate(kept, item));
+            if (index === -1) {
+                result.push(item);
+            } else {
+                result[index] = merge(result[index], item);
+                mergedCount++;
+            }
+        });
+
+        return { items: result, mergedCount };
+    };
+
+    return {
+        nameKey,
+        findDuplicate,
+        merge,
+        mergeAll
+    };
+})();
+
+// ===== QUICK ADD PARSER =====
+const QuickAdd = (() => {
+    const DEFAULT_UNIT = 'szt';
+
+    // Polish spellings of the units accepted by items.php
+    const UNIT_ALIASES = {
+        szt: ['szt', 'sztuka', 'sztuki', 'sztuk', 'sztukę'],
+        kg: ['kg', 'kilo', 'kilogram', 'kilograma', 'kilogramy', 'kilogramów'],
+        g: ['g', 'gr', 'gram', 'grama', 'gramy', 'gramów'],
+        l: ['l', 'litr', 'litra', 'litry', 'litrów'],
+        ml: ['ml', 'mililitr', 'mililitra', 'mililitry', 'mililitrów'],
+        opak: ['opak', 'op', 'opakowanie', 'opakowania', 'opakowań', 'paczka', 'paczki', 'paczek', 'paczkę']
+    };
+
+    const UNIT_LOOKUP = Object.entries(UNIT_ALIASES).reduce((lookup, [unit, aliases]) => {
+        aliases.forEach(alias => { lookup[alias] = unit; });
+        return lookup;
+    }, {});
+
+    // Commas inside numbers ("0,5") do not separate entries
+    const ENTRY_SEPARATOR = /\r?\n|;|(?<!\d),|,(?!\d)/;
+
+    /**
+     * Map a written unit to one of the known units (or null)
+     */
+    const toUnit = (word) => {
+        if (!word) return null;
+        return UNIT_LOOKUP[word.toLowerCase().replace(/\.$/, '')] || null;
+    };
+
+    /**
+     * Parse a single entry like "2kg ziemniaki", "mleko x3" or "jajka 10 szt"
+     * Returns { text, quantity, unit, parsed } or null for empty input
+     */
+    const parseEntry = (raw) => {
+        const text = raw.replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+
+        // Quantity first: "2 kg ziemniaki", "0,5kg sera", "3x mleko", "3 jajka"
+        let match = text.match(/^(\d+(?:[.,]\d+)?)(\s*)([^\s\d]+)?\s+(.+)$/);
+        if (match) {
+            const [, quantity, gap, word, rest] = match;
+            const isMultiplier = word && /^[x×]$/i.test(word);
+            const unit = isMultiplier ? null : toUnit(word);
+
+            // "3 duże jajka" keeps the word, "7up" is a name and not a quantity
+            const name = word && !isMultiplier && !unit ? `${word} ${rest}` : rest;
+            if ((!word || isMultiplier || unit || gap) && !toUnit(name)) {
+                return { text: name, quantity: Units.parseQuantity(quantity), unit: unit || DEFAULT_UNIT, parsed: true };
+            }
+        }
+
+        // Quantity last: "mleko x3", "mleko 3x", "ziemniaki 2 kg", "woda 6l"
+        match = text.match(/^(.+?)\s+[x×]\s*(\d+(?:[.,]\d+)?)$/i);
+        if (match) {
+            return { text: match[1], quantity: Units.parseQuantity(match[2]), unit: DEFAULT_UNIT, parsed: true };
+        }
+
+        match = text.match(/^(.+?)\s+(\d+(?:[.,]\d+)?)\s*(?:([x×])|(\S+))?$/i);
+        if (match && (match[3] || !match[4] || toUnit(match[4]))) {
+            return { text: match[1], quantity: Units.parseQuantity(match[2]), unit: toUnit(match[4]) || DEFAULT_UNIT, parsed: true };
+        }
+
+        return { text, quantity: 1, unit: DEFAULT_UNIT, parsed: false };
+    };
+
+    /**
+     * Parse free text with one or more comma / newline separated entries
+     */
+    const parse = (input) => {
+        return String(input || '')
+            .split(ENTRY_SEPARATOR)
+            .map(parseEntry)
+            .filter(Boolean);
+    };
+
+    return {
+        parse,
+        parseEntry,
+        toUnit
+    };
+})();
+
+// ===== STATISTICS MODULE =====
+const Statistics = (() => {
+    const TOP_LIMIT = 10;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Parse a MySQL "YYYY-MM-DD HH:MM:SS" timestamp (null for missing values)
+     */
+    const parseDate = (value) => {
+        if (!value) return null;
+        const date = new Date(String(value).replace(' ', 'T'));
+        return isNaN(date) ? null : date;
+    };
+
+    /**
+     * Midnight of the Monday that starts the week of a date
+     */
+    const startOfWeek = (date) => {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        return start;
+    };
+
+    /**
+     * Products bought most often, the same product under different spellings counts once
+     * Returns [{ label, count }]
+     */
+    const topProducts = (purchases, limit = TOP_LIMIT) => {
+        const products = new Map();
+        purchases.forEach(purchase => {
+            const key = Duplicates.nameKey(purchase.text);
+            const product = products.get(key) || { label: purchase.text, count: 0 };
+            product.count++;
+            products.set(key, product);
+        });
+
+        return [...products.values()]
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'pl'))
+            .slice(0, limit);
+    };
+
+    /**
+     * Average time in milliseconds from adding a product to buying it (null without data)
+     */
+    const averageWait = (purchases) => {
+        const waits = purchases
+            .map(purchase => {
+                const added = parseDate(purchase.added_at);
+                const completed = parseDate(purchase.completed_at);
+                return added && completed ? completed - added : null;
+            })
+            .filter(wait => wait !== null && wait >= 0);
+
+        if (waits.length === 0) return null;
+        return waits.reduce((sum, wait) => sum + wait, 0) / waits.length;
+    };
+
+    /**
+     * Number of purchases per ISO weekday (1 = Monday ... 7 = Sunday)
+     * Returns [{ day, count }]
+     */
+    const byWeekday = (purchases) => {
+        const counts = [0, 0, 0, 0, 0, 0, 0];
+        purchases.forEach(purchase => {
+            const completed = parseDate(purchase.completed_at);
+            if (completed) counts[(completed.getDay() + 6) % 7]++;
+        });
+        return counts.map((count, index) => ({ day: index + 1, count }));
+    };
+
+    /**
+     * Number of purchases in each of the last `count` weeks or months, oldest first
+     * Returns [{ label, count }]
+     */
+    const trend = (purchases, period, count, now = new Date()) => {
+        const buckets = [];
+        for (let i = count - 1; i >= 0; i--) {
+            let start;
+            let label;
+            if (period === 'month') {
+                start = new Date(now.getFullYear(), now.getMonth() - i, 1);
+                label = start.toLocaleDateString('pl-PL', { month: 'short' });
+            } else {
+                start = startOfWeek(new Date(now.getTime() - i * 7 * DAY_MS));
+                label = start.toLocaleDateString('pl-PL', { day: 'numeric', month: 'numeric' });
+            }
+            buckets.push({ start, label, count: 0 });
+        }
+
+        purchases.forEach(purchase => {
+            const completed = parseDate(purchase.completed_at);
+            if (!completed || completed < buckets[0].start) return;
+
+            // Buckets are sorted, so the last one starting before the purchase holds it
+            for (let i = buckets.length - 1; i >= 0; i--) {
+                if (completed >= buckets[i].start) {
+                    buckets[i].count++;
+                    break;
+                }
+            }
+        });
+
+        return buckets.map(({ label, count }) => ({ label, count }));
+    };
+
+    /**
+     * Readable duration: "40 min", "5 godz.", "3 dni"
+     */
+    const formatDuration = (ms) => {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} godz.`;
+
+        return `${Math.round(hours / 24)} dni`;
+    };
+
+    return {
+        topProducts,
+        averageWait,
+        byWeekday,
+        trend,
+        formatDuration
+    };
+})();
+
+// ===== EXPORT MODULE =====
+const Exporter = (() => {
+    // Marks files the import dialog can read back
+    const JSON_FORMAT = 'lista-zakupow';
+    const JSON_VERSION = 1;
+
+    const FORMATS = {
+        json: { extension: 'json', mime: 'application/json' },
+        csv: { extension: 'csv', mime: 'text/csv', bom: true },
+        text: { extension: 'txt', mime: 'text/plain' },
+        markdown: { extension: 'md', mime: 'text/markdown' }
+    };
+
+    // Semicolons, because spreadsheets with Polish settings use the comma for decimals
+    const CSV_SEPARATOR = ';';
+    const CSV_COLUMNS = ['nazwa', 'ilość', 'jednostka', 'cena', 'kategoria', 'opis', 'kupione', 'zakupy'];
+
+    /**
+     * Fields of an item worth keeping outside the app
+     */
+    const exportItem = (item) => ({
+        text: item.text,
+        quantity: Number(item.quantity),
+        unit: item.unit,
+        price: item.price ?? null,
+        category: item.category ?? null,
+        description: item.description || '',
+        completed: Boolean(item.completed)
+    });
+
+    /**
+     * The whole export as JSON, the format read back by the import dialog
+     */
+    const toJson = ({ name, budget, items, trips }) => {
+        const data = {
+            format: JSON_FORMAT,
+            version: JSON_VERSION,
+            exported_at: new Date().toISOString(),
+            list: { name, budget: budget ?? null },
+            items: items.map(exportItem)
+        };
+        if (trips) {
+            data.trips = trips.map(trip => ({
+                finished_at: trip.finished_at,
+                finished_by: trip.finished_by,
+                items: trip.items.map(item => ({
+                    ...exportItem({ ...item, completed: true }),
+                    added_at: item.added_at,
+                    completed_at: item.completed_at
+                }))
+            }));
+        }
+        return JSON.stringify(data, null, 2);
+    };
+
+    /**
+     * Quote a CSV field when it contains a separator, a quote or a line break
+     */
+    const csvField = (value) => {
+        const text = String(value ?? '');
+        return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    /**
+     * One row per item, history rows carry the date of their trip
+     */
+    const toCsv = ({ items, trips }) => {
+        const row = (item, tripDate = '') => [
+            item.text,
+            Units.formatInput(item.quantity),
+            item.unit,
+            item.price !== null && item.price !== undefined ? Utils.formatAmountInput(item.price) : '',
+            Categories.getName(item.category),
+            item.description || '',
+            item.completed ? 'tak' : 'nie',
+            tripDate
+        ];
+
+        const rows = [CSV_COLUMNS, ...items.map(item => row(item))];
+        (trips || []).forEach(trip => {
+            trip.items.forEach(item => rows.push(row({ ...item, completed: true }, trip.finished_at)));
+        });
+        return rows.map(fields => fields.map(csvField).join(CSV_SEPARATOR)).join('\r\n');
+    };
+
+    /**
+     * "2 szt Mleko (bez laktozy)"
+     */
+    const describeItem = (item) => {
+        const description = item.description ? ` (${item.description})` : '';
+        return `${Units.format(item.quantity, item.unit)} ${item.text}${description}`;
+    };
+
+    /**
+     * Plain checklist to paste into a message or a note
+     */
+    const toText = ({ name, items, trips, order }) => {
+        const lines = [name, ''];
+        Categories.group(items, order).forEach(section => {
+            lines.push(`${section.name}:`);
+            section.items.forEach(item => lines.push(`${item.completed ? '[x]' : '[ ]'} ${describeItem(item)}`));
+            lines.push('');
+        });
+
+        (trips || []).forEach(trip => {
+            lines.push(`Zakupy z ${Utils.formatDate(trip.finished_at)}:`);
+            trip.items.forEach(item => lines.push(`- ${describeItem(item)}`));
+            lines.push('');
+        });
+        return lines.join('\n').trim() + '\n';
+    };
+
+    /**
+     * Markdown task list grouped by category
+     */
+    const toMarkdown = ({ name, items, trips, order }) => {
+        const lines = [`# ${name}`, ''];
+        Categories.group(items, order).forEach(section => {
+            lines.push(`## ${section.name}`, '');
+            section.items.forEach(item => lines.push(`- [${item.completed ? 'x' : ' '}] ${describeItem(item)}`));
+            lines.push('');
+        });
+
+        if (trips && trips.length > 0) {
+            lines.push('## Historia zakupów', '');
+            trips.forEach(trip => {
+                lines.push(`### ${Utils.formatDate(trip.finished_at)}`, '');
+                trip.items.forEach(item => lines.push(`- ${describeItem(item)}`));
+                lines.push('');
+            });
+        }
+        return lines.join('\n').trim() + '\n';
+    };
+
+    const BUILDERS = { json: toJson, csv: toCsv, text: toText, markdown: toMarkdown };
+
+    /**
+     * Build the export of a list in a format
+     * `data` is { name, budget, items, trips (optional), order (category order) }
+     * Returns { content, extension, mime, bom }
+     */
+    const build = (format, data) => {
+        const builder = BUILDERS[format];
+        if (!builder) throw new Error(`Unknown export format: ${format}`);
+        return { content: builder(data), ...FORMATS[format] };
+    };
+
+    return {
+        JSON_FORMAT,
+        JSON_VERSION,
+        CSV_SEPARATOR,
+        build
+    };
+})();
+
+// ===== IMPORT MODULE =====
+const Importer = (() => {
+    // Item fields a CSV column can be mapped to
+    const FIELDS = [
+        { id: 'text', name: 'Nazwa' },
+        { id: 'quantity', name: 'Ilość' },
+        { id: 'unit', name: 'Jednostka' },
+        { id: 'price', name: 'Cena' },
+        { id: 'category', name: 'Kategoria' },
+        { id: 'description', name: 'Opis' }
+    ];
+
+    // Column headers recognised without mapping, including the ones written by the export
+    const HEADER_ALIASES = {
+        text: ['nazwa', 'produkt', 'name', 'text', 'item'],
+        quantity: ['ilosc', 'ilość', 'liczba', 'quantity', 'qty'],
+        unit: ['jednostka', 'jedn', 'unit'],
+        price: ['cena', 'price'],
+        category: ['kategoria', 'dzial', 'category'],
+        description: ['opis', 'uwagi', 'notatka', 'description', 'notes']
+    };
+
+    // Markers of checklists and Markdown lists: "- ", "* ", "[ ] ", "[x] ", "☐ ", "☑ "
+    const LIST_MARKER = /^(?:[-*•]\s+)?(?:\[( |x|X)\]\s*|([☐☑✓✔])\s*)?/;
+
+    const fold = (text) => String(text ?? '').trim().toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ł/g, 'l');
+
+    // Trip history of the text and Markdown exports: "Zakupy z 12.05.2025:", "## Historia zakupów"
+    const TRIP_HEADING = /^(?:Zakupy z .+:|##\s+Historia zakupów)$/i;
+
+    // Description written after the name by the export: "Mleko (bez laktozy)"
+    const TRAILING_DESCRIPTION = /^(.*\S)\s*\(([^()]*)\)$/;
+
+    const isHeading = (line) => line.startsWith('#') || line.endsWith(':');
+
+    /**
+     * One product per line: "2 kg ziemniaki", "mleko x3", also checklists from the text / Markdown export
+     * Headings ("# Lista", "Nabiał:"), the title of the text export and past trips are skipped
+     */
+    const parseText = (input) => {
+        const lines = String(input || '').split(/\r?\n/).map(line => line.trim());
+
+        // The text export starts with the list name, a blank line and the first section
+        const hasTitle = lines.length > 2 && lines[0] && !isHeading(lines[0]) && !lines[1] && isHeading(lines[2]);
+        let inTrips = false;
+
+        return lines.map((line, index) => {
+            if (!line || (index === 0 && hasTitle)) return null;
+
+            // "### 12.05.2025" stays inside the Markdown trip history
+            if (isHeading(line)) {
+                if (!line.startsWith('###')) inTrips = TRIP_HEADING.test(line);
+                return null;
+            }
+            if (inTrips) return null;
+
+            const marker = line.match(LIST_MARKER);
+            const content = line.slice(marker[0].length);
+            const described = content.match(TRAILING_DESCRIPTION);
+            const entry = QuickAdd.parseEntry(described ? described[1] : content);
+            if (!entry) return null;
+            return {
+                text: entry.text,
+                quantity: entry.quantity,
+                unit: entry.unit,
+                description: described ? described[2].trim() : '',
+                completed: /x/i.test(marker[1] || '') || /[☑✓✔]/.test(marker[2] || '')
+            };
+        }).filter(Boolean);
+    };
+
+    /**
+     * Guess the separator of a CSV from its first line: semicolon, comma or tab
+     */
+    const detectSeparator = (firstLine) => {
+        const counts = [';', ',', '\t'].map(separator => ({ separator, count: firstLine.split(separator).length - 1 }));
+        const best = counts.sort((a, b) => b.count - a.count)[0];
+        return best.count > 0 ? best.separator : ',';
+    };
+
+    /**
+     * Split CSV text into rows of fields; quoted fields may contain separators, quotes and line breaks
+     */
+    const parseCsv = (input) => {
+        const text = String(input || '').replace(/^\uFEFF/, '');
+        const separator = detectSeparator(text.split(/\r?\n/)[0]);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    };
+
+    /**
+     * Check whether the first CSV row names the columns
+     */
+    const isHeader = (fields) => {
+        const aliases = Object.values(HEADER_ALIASES).flat().map(fold);
+        return fields.some(name => aliases.includes(fold(name)));
+    };
+
+    /**
+     * Map item fields to CSV columns by their headers: { text: 0, quantity: 1, ... } (null when missing)
+     * Without recognised headers the first column is the name
+     */
+    const guessMapping = (header) => {
+        const folded = header.map(fold);
+        const mapping = {};
+        FIELDS.forEach(field => {
+            const index = folded.findIndex(name => HEADER_ALIASES[field.id].map(fold).includes(name));
+            mapping[field.id] = index === -1 ? null : index;
+        });
+        if (mapping.text === null) mapping.text = 0;
+        return mapping;
+    };
+
+    /**
+     * Turn CSV rows into raw items through a column mapping
+     */
+    const applyMapping = (rows, mapping) => {
+        return rows.map(fields => {
+            const raw = {};
+            FIELDS.forEach(field => {
+                const index = mapping[field.id];
+                raw[field.id] = index === null || index === undefined ? '' : (fields[index] ?? '');
+            });
+            return raw;
+        });
+    };
+
+    /**
+     * Items of a file written by the JSON export
+     */
+    const parseJson = (input) => {
+        let data;
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new Error('Plik nie zawiera poprawnego JSON');
+        }
+
+        if (!data || data.format !== Exporter.JSON_FORMAT || !Array.isArray(data.items)) {
+            throw new Error('To nie jest plik z eksportu listy zakupów');
+        }
+        if (data.version > Exporter.JSON_VERSION) {
+            throw new Error('Plik pochodzi z nowszej wersji aplikacji');
+        }
+        return data.items;
+    };
+
+    /**
+     * Map a written unit to a known one ("kilogramy" -> "kg"), null if unknown
+     */
+    const toUnit = (value) => {
+        const unit = String(value ?? '').trim();
+        if (unit === '') return 'szt';
+        return Units.UNITS.includes(unit) ? unit : QuickAdd.toUnit(unit);
+    };
+
+    /**
+     * Map a category id or name to a known category, guessing from the product name otherwise
+     */
+    const toCategory = (value, text) => {
+        const name = fold(value);
+        const category = name && Categories.CATEGORIES.find(c => c.id === name || fold(c.name) === name);
+        return category ? category.id : Categories.suggest(text);
+    };
+
+    /**
+     * Validate a raw item (strings from a CSV or values from JSON / text)
+     * Returns { item, errors } where errors are messages for the preview
+     */
+    const validateRow = (raw) => {
+        const errors = [];
+        const text = String(raw.text ?? '').trim();
+        if (!text) errors.push('Brak nazwy');
+
+        const rawQuantity = typeof raw.quantity === 'number' ? raw.quantity : String(raw.quantity ?? '').replace(/\s/g, '');
+        const quantity = rawQuantity === '' ? 1 : Units.parseQuantity(rawQuantity);
+        // JSON files may hold anything here, so only a string is kept for the preview
+        const rawUnit = String(raw.unit ?? '');
+        const unit = toUnit(raw.unit);
+        if (!unit) {
+            errors.push(`Nieznana jednostka „${rawUnit}” (dozwolone: ${Units.UNITS.join(', ')})`);
+        } else {
+            const error = Units.validate(quantity, unit);
+            if (error) errors.push(error);
+        }
+
+        const price = Utils.parseAmount(typeof raw.price === 'number' ? raw.price.toFixed(2) : raw.price);
+        if (Number.isNaN(price)) errors.push(`Nieprawidłowa cena „${raw.price}”`);
+
+        return {
+            item: {
+                text,
+                quantity,
+                unit: unit || rawUnit,
+                price: Number.isNaN(price) ? null : price,
+                category: text ? toCategory(raw.category, text) : null,
+                description: String(raw.description ?? '').trim(),
+                completed: raw.completed === true
+            },
+            errors
+        };
+    };
+
+    return {
+        FIELDS,
+        parseText,
+        parseCsv,
+        isHeader,
+        guessMapping,
+        applyMapping,
+        parseJson,
+        validateRow
+    };
+})();
+
+// ===== LIVE SYNC MODULE =====
+const LiveSync = (() => {
+    const POLL_INTERVAL = 10000; // 10 seconds
+    const MAX_STREAM_FAILURES = 3;
+    let eventSource = null;
+    let pollTimer = null;
+    let lastEventId = null;
+    let streamFailures = 0;
+    let onEvents = null;
+
+    /**
+     * Start receiving item changes made on other devices
+     */
+    const start = (handler) => {
+        stop();
+        onEvents = handler;
+
+        if ('EventSource' in window) {
+            openStream();
+        } else {
+            startPolling();
+        }
+    };
+
+    /**
+     * Stop receiving changes
+     */
+    const stop = () => {
+        closeStream();
+        if (pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+        lastEventId = null;
+        streamFailures = 0;
+    };
+
+    const closeStream = () => {
+        if (eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+    };
+
+    const openStream = () => {
+        eventSource = DatabaseModule.openEventStream(lastEventId);
+
+        eventSource.addEventListener('ready', (e) => {
+            streamFailures = 0;
+            lastEventId = JSON.parse(e.data).last_id;
+        });
+
+        eventSource.addEventListener('item', (e) => {
+            lastEventId = Number(e.lastEventId);
+            onEvents([JSON.parse(e.data)]);
+        });
+
+        // The server ends every stream after a while and the browser reconnects;
+        // only repeated failures without a 'ready' in between mean SSE does not work here
+        eventSource.onerror = () => {
+            streamFailures++;
+            if (eventSource.readyState === EventSource.CLOSED || streamFailures >= MAX_STREAM_FAILURES) {
+                console.warn('Event stream unavailable, falling back to polling');
+                startPolling();
+            }
+        };
+    };
+
+    const startPolling = () => {
+        closeStream();
+        if (pollTimer) return;
+
+        pollTimer = setInterval(poll, POLL_INTERVAL);
+        poll();
+    };
+
+    const poll = async () => {
+        if (!navigator.onLine) return;
+
+        try {
+            const response = await DatabaseModule.getItemEvents(lastEventId);
+            lastEventId = response.last_id;
+            if (response.events.length > 0) {
+                onEvents(response.events);
+            }
+        } catch (error) {
+            console.error('Error polling for changes:', error);
+        }
+    };
+
+    return {
+        start,
+        stop
+    };
+})();
+
+// ===== UTILITY FUNCTIONS =====
+const Utils = (() => {
+    /**
+     * Escape HTML special characters to prevent XSS
+     */
+    const escapeHtml = (text) => {
+        if (typeof text !== 'string') return text;
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    };
+    
+    /**
+     * Debounce function to limit how often a function can be called
+     */
+    const debounce = (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    };
+    
+    /**
+     * Lowercase text without Polish diacritics, for forgiving searches
+     */
+    const foldText = (text) => {
+        return String(text || '').toLocaleLowerCase('pl-PL')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ł/g, 'l');
+    };
+    
+    /**
+     * Format date to readable format
+     */
+    const formatDate = (dateString) => {
+        if (!dateString) return '';
+        const options = { year: 'numeric', month: 'short', day: 'numeric' };
+        return new Date(dateString).toLocaleDateString('pl-PL', options);
+    };
+    
+    const moneyFormat = new Intl.NumberFormat('pl-PL', { style: 'currency', currency: 'PLN' });
+    
+    /**
+     * Format an amount in złoty: "12,50 zł"
+     */
+    const formatMoney = (amount) => moneyFormat.format(amount);
+    
+    /**
+     * Parse a price or budget typed with a dot or a decimal comma
+     * Returns null for an empty value and NaN when it is not an amount in grosze
+     */
+    const parseAmount = (value) => {
+        const text = String(value ?? '').trim().replace(',', '.');
+        if (text === '') return null;
+        return /^\d+(\.\d{1,2})?$/.test(text) ? parseFloat(text) : NaN;
+    };
+    
+    /**
+     * Amount as typed in the form fields: "4,99"
+     */
+    const formatAmountInput = (amount) => {
+        return amount === null || amount === undefined ? '' : Number(amount).toFixed(2).replace('.', ',');
+    };
+    
+    return {
+        escapeHtml,
+        debounce,
+        foldText,
+        formatDate,
+        formatMoney,
+        parseAmount,
+        formatAmountInput
+    };
+})();
+
+// ===== APPLICATION MODULE =====
+const ShoppingListApp = (() => {
+    // DOM Elements
+    let elements = {};
+
+    // Application state
+    let currentUser = null;
+    let lists = [];
+    let currentListId = null;
+    let shoppingList = [];
+    let listSavedAt = null; // When the shown items were last loaded from the server (null: nothing to cache)
+    let failedLoginAttempts = 0;
+    const MAX_LOGIN_ATTEMPTS = 5;
+    const LOCKOUT_TIME = 5 * 60 * 1000; // 5 minutes
+    let lockoutUntil = 0;
+    let isEditingMode = false;
+    let originalList = [];
+    let baseVersions = {}; // id => updated_at of the server copies the edit is based on
+    let activeModal = null;
+    let renderAfterEditFocus = false;
+    let mergeDialogQueue = Promise.resolve();
+    let suggestions = [];
+    let activeSuggestion = -1;
+    let listView = {};
+    let staples = [];
+    let templates = [];
+    let templateDraft = null; // { id, rows } of the template being edited
+    let trips = [];
+    let purchases = [];
+    let budgetWarning = { listId: null, exceeded: false }; // Warn once when the budget gets exceeded
+    let importRows = []; // [{ item, errors }] shown in the import preview
+    let importCsv = null; // { rows, hasHeader, mapping } of the CSV being mapped
+    let undoStack = [];
+    let redoStack = [];
+    let historyBusy = false;
+    let replayRetryTimer = null;
+    const REPLAY_RETRY_DELAY = 30000; // ms before queued changes are sent again after a server failure
+    const HISTORY_LIMIT = 50;
+    const UNDO_TOAST_DURATION = 6000;
+    const EDITABLE_FIELDS = ['text', 'quantity', 'unit', 'price', 'category', 'description', 'completed', 'position'];
+    const ROLE_LABELS = { owner: 'właściciel', editor: 'edycja', viewer: 'podgląd' };
+    const WEEKDAY_LABELS = { 1: 'pn', 2: 'wt', 3: 'śr', 4: 'czw', 5: 'pt', 6: 'sob', 7: 'nd' };
+    const TREND_LENGTH = { week: 12, month: 12 }; // Periods shown by the trend chart
+    const SHOP_MOVE_DURATION = 400; // ms for a checked item to slide to the bottom
+
+    // Initialize the application
+    const init = () => {
+        initializeElements();
+        renderCategoryOptions();
+        bindEvents();
+        checkSavedSession();
+        loadThemePreference();
+        setupNetworkListener();
+        prefillRememberMe();
+    };
+
+    // Initialize DOM elements
+    const initializeElements = () => {
+        elements = {
+            btnEditList: document.getElementById('btn-edit-list'),
+            btnRemoveChecked: document.getElementById('btn-remove-checked'),
+            btnClearList: document.getElementById('btn-clear-list'),
+            authSection: document.getElementById('auth-section'),
+            appSection: document.getElementById('app-section'),
+            currentUserSpan: document.getElementById('current-user'),
+            listSwitcher: document.getElementById('list-switcher'),
+            listManager: document.getElementById('list-manager'),
+            newListName: document.getElementById('new-list-name'),
+            btnCreateList: document.getElementById('btn-create-list'),
+            memberList: document.getElementById('member-list'),
+            inviteForm: document.getElementById('invite-form'),
+            publicLinkList: document.getElementById('public-link-list'),
+            publicLinkForm: document.getElementById('public-link-form'),
+            publicLinkDays: document.getElementById('public-link-days'),
+            btnCreatePublicLink: document.getElementById('btn-create-public-link'),
+            inviteUsername: document.getElementById('invite-username'),
+            inviteRole: document.getElementById('invite-role'),
+            btnInvite: document.getElementById('btn-invite'),
+            inviteList: document.getElementById('invite-list'),
+            readonlyBanner: document.getElementById('readonly-banner'),
+            stapleList: document.getElementById('staple-list'),
+            stapleForm: document.getElementById('staple-form'),
+            stapleName: document.getElementById('staple-name'),
+            stapleNameOptions: document.getElementById('staple-name-options'),
+            stapleRule: document.getElementById('staple-rule'),
+            stapleInterval: document.getElementById('staple-interval'),
+            stapleWeekdays: document.getElementById('staple-weekdays'),
+            btnAddStaple: document.getElementById('btn-add-staple'),
+            trashList: document.getElementById('trash-list'),
+            trashInfo: document.getElementById('trash-info'),
+            btnEmptyTrash: document.getElementById('btn-empty-trash'),
+            listToolbar: document.getElementById('list-toolbar'),
+            listSearch: document.getElementById('list-search'),
+            listSort: document.getElementById('list-sort'),
+            listFilter: document.getElementById('list-filter'),
+            loginTab: document.getElementById('login-tab'),
+            registerTab: document.getElementById('register-tab'),
+            tabs: document.querySelectorAll('.tab'),
+            loginUsername: document.getElementById('login-username'),
+            loginPassword: document.getElementById('login-password'),
+            registerUsername: document.getElementById('register-username'),
+            registerPassword: document.getElementById('register-password'),
+            registerConfirm: document.getElementById('register-confirm'),
+            btnLogin: document.getElementById('btn-login'),
+            btnRegister: document.getElementById('btn-register'),
+            btnLogout: document.getElementById('btn-logout'),
+            newItemInput: document.getElementById('new-item'),
+            quickAddPreview: document.getElementById('quick-add-preview'),
+            itemSuggestions: document.getElementById('item-suggestions'),
+            newQuantityInput: document.getElementById('new-quantity'),
+            newUnitSelect: document.getElementById('new-unit'),
+            newCategorySelect: document.getElementById('new-category'),
+            categoryOrder: document.getElementById('category-order'),
+            newDescriptionInput: document.getElementById('new-description'),
+            newPriceInput: document.getElementById('new-price'),
+            listTotal: document.getElementById('list-total'),
+            listBudget: document.getElementById('list-budget'),
+            btnSaveBudget: document.getElementById('btn-save-budget'),
+            exportFormat: document.getElementById('export-format'),
+            exportHistory: document.getElementById('export-history'),
+            btnExportDownload: document.getElementById('btn-export-download'),
+            btnExportCopy: document.getElementById('btn-export-copy'),
+            btnImport: document.getElementById('btn-import'),
+            importModal: document.getElementById('import-modal'),
+            importFormat: document.getElementById('import-format'),
+            importText: document.getElementById('import-text'),
+            importFile: document.getElementById('import-file'),
+            importMapping: document.getElementById('import-mapping'),
+            importSummary: document.getElementById('import-summary'),
+            importPreview: document.getElementById('import-preview'),
+            btnImportAdd: document.getElementById('btn-import-add'),
+            btnImportClose: document.getElementById('btn-import-close'),
+            btnAddItem: document.getElementById('btn-add-item'),
+            shoppingItems: document.getElementById('shopping-items'),
+            btnRefresh: document.getElementById('btn-refresh'),
+            btnFinishTrip: document.getElementById('btn-finish-trip'),
+            btnShare: document.getElementById('btn-share'),
+            btnShopMode: document.getElementById('btn-shop-mode'),
+            btnPrint: document.getElementById('btn-print'),
+            shopMode: document.getElementById('shop-mode'),
+            shopListName: document.getElementById('shop-list-name'),
+            shopProgress: document.getElementById('shop-progress'),
+            shopWakeLock: document.getElementById('shop-wake-lock'),
+            shopItems: document.getElementById('shop-items'),
+            btnShopClose: document.getElementById('btn-shop-close'),
+            btnSaveChanges: document.getElementById('btn-save-changes'),
+            btnCancelEdit: document.getElementById('btn-cancel-edit'),
+            btnMergeDuplicates: document.getElementById('btn-merge-duplicates'),
+            notification: document.getElementById('notification'),
+            passwordStrengthBar: document.getElementById('password-strength-bar'),
+            passwordFeedback: document.getElementById('password-feedback'),
+            loginLoading: document.getElementById('login-loading'),
+            registerLoading: document.getElementById('register-loading'),
+            loginText: document.getElementById('login-text'),
+            registerText: document.getElementById('register-text'),
+            btnSettings: document.getElementById('btn-settings'),
+            settingsPanel: document.getElementById('settings-panel'),
+            settingsClose: document.querySelector('.settings-close'),
+            overlay: document.getElementById('overlay'),
+            themeSelect: document.getElementById('theme-select'),
+            rememberMe: document.getElementById('remember-me'),
+            networkStatus: document.getElementById('network-status'),
+            staleBanner: document.getElementById('stale-banner'),
+            mergeModal: document.getElementById('merge-modal'),
+            mergeMine: document.getElementById('merge-mine'),
+            mergeTheirs: document.getElementById('merge-theirs'),
+            btnTemplates: document.getElementById('btn-templates'),
+            templateModal: document.getElementById('template-modal'),
+            templateOverview: document.getElementById('template-overview'),
+            templateList: document.getElementById('template-list'),
+            btnTemplateFromList: document.getElementById('btn-template-from-list'),
+            btnTemplateNew: document.getElementById('btn-template-new'),
+            btnTemplateClose: document.getElementById('btn-template-close'),
+            templateEditor: document.getElementById('template-editor'),
+            templateEditorTitle: document.getElementById('template-editor-title'),
+            templateName: document.getElementById('template-name'),
+            templateRows: document.getElementById('template-rows'),
+            btnTemplateAddRow: document.getElementById('btn-template-add-row'),
+            btnTemplateSave: document.getElementById('btn-template-save'),
+            btnTemplateCancel: document.getElementById('btn-template-cancel'),
+            btnHistory: document.getElementById('btn-history'),
+            historyModal: document.getElementById('history-modal'),
+            tripList: document.getElementById('trip-list'),
+            btnHistoryClose: document.getElementById('btn-history-close'),
+            btnStats: document.getElementById('btn-stats'),
+            statsModal: document.getElementById('stats-modal'),
+            statsSummary: document.getElementById('stats-summary'),
+            statsContent: document.getElementById('stats-content'),
+            statsTop: document.getElementById('stats-top'),
+            statsWeekdays: document.getElementById('stats-weekdays'),
+            statsPeriod: document.getElementById('stats-period'),
+            statsTrend: document.getElementById('stats-trend'),
+            btnStatsClose: document.getElementById('btn-stats-close')
+        };
+    };
+
+    // Prefill remember me checkbox based on stored preference
+    const prefillRememberMe = () => {
+        const rememberMe = SessionManager.getRememberMe();
+        if (elements.rememberMe) {
+            elements.rememberMe.checked = rememberMe;
+        }
+    };
+
+    // Set up online/offline event listeners
+    const setupNetworkListener = () => {
+        window.addEventListener('online', handleNetworkChange);
+        window.addEventListener('offline', handleNetworkChange);
+        updateNetworkStatus();
+    };
+
+    // Handle network status changes
+    const handleNetworkChange = () => {
+        const isOnline = navigator.onLine;
+        if (isOnline) {
+            showNotification('Połączenie internetowe przywrócone', 'success');
+            // Replay queued offline changes, then reload from server
+            if (currentUser && currentListId) {
+                LiveSync.start(applyRemoteEvents);
+                loadShoppingList();
+            }
+        } else {
+            showNotification('Brak połączenia internetowego. Zmiany zostaną zapisane lokalnie.', 'error');
+        }
+        updateNetworkStatus();
+    };
+
+    /**
+     * Show the offline / pending changes indicator
+     */
+    const updateNetworkStatus = async () => {
+        if (!elements.networkStatus) return;
+
+        const pendingCount = await DatabaseModule.getPendingCount().catch(() => 0);
+        const isOnline = navigator.onLine;
+
+        elements.networkStatus.className = 'network-status';
+        if (!isOnline) {
+            elements.networkStatus.classList.add('offline');
+            elements.networkStatus.textContent = pendingCount > 0
+                ? `Offline – oczekujące zmiany: ${pendingCount}`
+                : 'Offline';
+        } else if (pendingCount > 0) {
+            elements.networkStatus.classList.add('offline');
+            elements.networkStatus.textContent = `Oczekujące zmiany: ${pendingCount}`;
+        }
+    };
+
+    /**
+     * Replay changes queued while offline and swap temporary IDs for server IDs
+     */
+    const syncPendingChanges = async () => {
+        try {
+            const { idMap, versions, synced, rejected, halted } = await DatabaseModule.replayQueue(resolveQueuedConflict);
+
+            shoppingList.forEach(item => {
+                if (idMap[item.id]) {
+                    item.id = idMap[item.id];
+                }
+                if (versions[item.id] !== undefined) {
+                    item.updated_at = versions[item.id];
+                }
+            });
+
+            if (synced > 0) {
+                showNotification(`Zsynchronizowano zmiany offline (${synced})`, 'success');
+            }
+            if (rejected.length > 0) {
+                const names = describeQueuedChanges(rejected);
+                showNotification(`Serwer odrzucił zmiany offline (${rejected.length})${names ? `: ${names}` : ''}`, 'warning', 8000);
+            }
+            
+            // An expired session replays after the next login; a failing server after a while
+            if (halted === 'retry') {
+                showNotification('Serwer chwilowo nie przyjmuje zmian – zostaną wysłane ponownie', 'warning', 5000);
+                scheduleReplayRetry();
+            }
+        } catch (error) {
+            console.error('Error replaying offline changes:', error);
+        } finally {
+            updateNetworkStatus();
+        }
+    };
+
+    /**
+     * Run the server upkeep of the current list before loading it; viewers only read
+     */
+    const maintainList = async () => {
+        if (!navigator.onLine || !canEditList()) return;
+        
+        try {
+            await DatabaseModule.maintainList();
+        } catch (error) {
+            // The list still loads, trash and staples catch up on the next visit
+            console.warn('List upkeep failed:', error);
+        }
+    };
+    
+    /**
+     * Try sending the queued changes again a bit later
+     */
+    const scheduleReplayRetry = () => {
+        clearTimeout(replayRetryTimer);
+        replayRetryTimer = setTimeout(() => {
+            replayRetryTimer = null;
+            if (currentUser && currentListId) {
+                loadShoppingList();
+            }
+        }, REPLAY_RETRY_DELAY);
+    };
+    
+    /**
+     * Names of the items touched by queued changes, for telling the user what was lost
+     */
+    const describeQueuedChanges = (mutations) => {
+        const names = new Set();
+        const addItem = (id) => {
+            const item = shoppingList.find(listItem => Number(listItem.id) === Number(id));
+            if (item) names.add(item.text);
+        };
+        
+        mutations.forEach(({ endpoint, data }) => {
+            const match = endpoint.match(/[?&]id=(-?\d+)/);
+            if (match) addItem(match[1]);
+            if (!data) return;
+            
+            if (data.text) names.add(data.text);
+            (data.creates || []).forEach(create => create.text && names.add(create.text));
+            [...(data.updates || []), ...(data.deletes || [])].forEach(change => addItem(change.id));
+            (data.ids || []).forEach(addItem);
+        });
+        return [...names].join(', ');
+    };
+
+    // Bind event listeners
+    const bindEvents = () => {
+        // Tab switching
+        elements.tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const tabName = tab.getAttribute('data-tab');
+                switchTab(tabName);
+            });
+        });
+
+        // Item interactions with event delegation
+        elements.shoppingItems.addEventListener('click', handleItemClick);
+        elements.shoppingItems.addEventListener('focusout', handleListFocusOut);
+        elements.shoppingItems.addEventListener('pointerdown', handleDragStart);
+
+        // Authentication
+        elements.btnRegister.addEventListener('click', register);
+        elements.btnLogin.addEventListener('click', login);
+        elements.btnLogout.addEventListener('click', logout);
+
+        // Shopping list management
+        elements.btnAddItem.addEventListener('click', addItem);
+        elements.newItemInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') addItem();
+        });
+        elements.newItemInput.addEventListener('input', 
+            Utils.debounce(updateCategorySuggestion, 200));
+        elements.newItemInput.addEventListener('input', updateQuickAddPreview);
+        elements.newItemInput.addEventListener('paste', handleItemPaste);
+        
+        // Product suggestions
+        elements.newItemInput.addEventListener('input', showSuggestions);
+        elements.newItemInput.addEventListener('keydown', handleSuggestionKeys);
+        elements.newItemInput.addEventListener('blur', hideSuggestions);
+        // Keep focus in the input while a suggestion is tapped
+        elements.itemSuggestions.addEventListener('pointerdown', (e) => e.preventDefault());
+        elements.itemSuggestions.addEventListener('click', handleSuggestionClick);
+        
+        // Undo / redo shortcuts
+        document.addEventListener('keydown', handleHistoryKeys);
+        
+        // Sorting, filtering and searching the list
+        elements.listSort.addEventListener('change', () => setListView({ sort: elements.listSort.value }));
+        elements.listFilter.addEventListener('change', () => setListView({ filter: elements.listFilter.value }));
+        elements.listSearch.addEventListener('input',
+            Utils.debounce(() => setListView({ search: elements.listSearch.value }), 150));
+        
+        // Debounced refresh
+        elements.btnRefresh.addEventListener('click', Utils.debounce(refreshList, 300));
+        elements.btnFinishTrip.addEventListener('click', finishTrip);
+        elements.btnShare.addEventListener('click', shareList);
+        
+        // Password strength indicator
+        elements.registerPassword.addEventListener('input', 
+            Utils.debounce(updatePasswordStrength, 300));
+        
+        // Settings panel
+        elements.btnSettings.addEventListener('click', openSettings);
+        elements.settingsClose.addEventListener('click', closeSettings);
+        elements.overlay.addEventListener('click', handleOverlayClick);
+        
+        // Merge dialog
+        elements.mergeModal.addEventListener('click', handleMergeChoice);
+        
+        // Theme selection
+        elements.themeSelect.addEventListener('change', changeTheme);
+        
+        // Named lists
+        elements.listSwitcher.addEventListener('change', () => switchList(Number(elements.listSwitcher.value)));
+        elements.btnCreateList.addEventListener('click', createList);
+        elements.newListName.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') createList();
+        });
+        elements.listManager.addEventListener('click', handleListManagerClick);
+        
+        // Budget
+        elements.btnSaveBudget.addEventListener('click', saveBudget);
+        elements.listBudget.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') saveBudget();
+        });
+        
+        // Staples
+        elements.stapleRule.addEventListener('change', updateStapleRuleFields);
+        elements.btnAddStaple.addEventListener('click', addStaple);
+        elements.stapleList.addEventListener('click', handleStapleListClick);
+        
+        // Export
+        elements.btnExportDownload.addEventListener('click', downloadExport);
+        elements.btnExportCopy.addEventListener('click', copyExport);
+        
+        // Shop mode and printing
+        elements.btnShopMode.addEventListener('click', openShopMode);
+        elements.btnShopClose.addEventListener('click', closeShopMode);
+        elements.shopItems.addEventListener('click', handleShopItemClick);
+        document.addEventListener('visibilitychange', handleShopVisibilityChange);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeShopMode();
+        });
+        elements.btnPrint.addEventListener('click', printList);
+        window.addEventListener('beforeprint', handleBeforePrint);
+        window.addEventListener('afterprint', handleAfterPrint);
+        
+        // Import
+        elements.btnImport.addEventListener('click', openImport);
+        elements.importFormat.addEventListener('change', () => previewImport(true));
+        elements.importText.addEventListener('input', Utils.debounce(() => previewImport(true), 300));
+        elements.importFile.addEventListener('change', handleImportFile);
+        elements.importMapping.addEventListener('change', handleImportMappingChange);
+        elements.btnImportAdd.addEventListener('click', addImportedItems);
+        elements.btnImportClose.addEventListener('click', () => closeModal(elements.importModal));
+        
+        // Trash
+        elements.trashList.addEventListener('click', handleTrashClick);
+        elements.btnEmptyTrash.addEventListener('click', emptyTrash);
+        
+        // Sharing
+        elements.btnInvite.addEventListener('click', inviteMember);
+        elements.inviteUsername.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') inviteMember();
+        });
+        elements.memberList.addEventListener('click', handleMemberListClick);
+        elements.memberList.addEventListener('change', handleMemberRoleChange);
+        elements.publicLinkList.addEventListener('click', handlePublicLinkClick);
+        elements.btnCreatePublicLink.addEventListener('click', createPublicLink);
+        elements.inviteList.addEventListener('click', handleInviteClick);
+        
+        // Categories
+        elements.categoryOrder.addEventListener('click', handleCategoryOrderClick);
+        
+        // List management buttons
+        elements.btnClearList.addEventListener('click', clearList);
+        elements.btnRemoveChecked.addEventListener('click', removeCheckedItems);
+        elements.btnEditList.addEventListener('click', startListEditing);
+        
+        // Templates
+        elements.btnTemplates.addEventListener('click', openTemplates);
+        elements.templateList.addEventListener('click', handleTemplateListClick);
+        elements.btnTemplateFromList.addEventListener('click', startTemplateFromList);
+        elements.btnTemplateNew.addEventListener('click', () => showTemplateEditor(null, [createTemplateRow()]));
+        elements.btnTemplateClose.addEventListener('click', () => closeModal(elements.templateModal));
+        elements.btnTemplateAddRow.addEventListener('click', addTemplateRow);
+        elements.btnTemplateSave.addEventListener('click', saveTemplate);
+        elements.btnTemplateCancel.addEventListener('click', showTemplateOverview);
+        
+        // Shopping history
+        elements.btnHistory.addEventListener('click', openHistory);
+        elements.tripList.addEventListener('click', handleTripListClick);
+        elements.btnHistoryClose.addEventListener('click', () => closeModal(elements.historyModal));
+        
+        // Statistics
+        elements.btnStats.addEventListener('click', openStatistics);
+        elements.statsPeriod.addEventListener('change', renderTrend);
+        elements.btnStatsClose.addEventListener('click', () => closeModal(elements.statsModal));
+        
+        // Edit mode buttons
+        elements.btnSaveChanges.addEventListener('click', saveListChanges);
+        elements.btnCancelEdit.addEventListener('click', cancelListEditing);
+        elements.btnMergeDuplicates.addEventListener('click', mergeDuplicatesDuringEditing);
+    };
+
+    // ===== SESSION MANAGEMENT =====
+    
+    /**
+     * Check if there's a saved valid session
+     */
+    const checkSavedSession = async () => {
+        const savedUser = SessionManager.getUser();
+        const isSessionValid = SessionManager.isSessionValid();
+        const rememberMe = SessionManager.getRememberMe();
+        
+        // Pre-fill remember me checkbox
+        if (elements.rememberMe) {
+            elements.rememberMe.checked = rememberMe;
+        }
+        
+        if (savedUser && isSessionValid) {
+            try {
+                // Verify session with server by attempting to load the shopping list
+                currentUser = savedUser;
+                updateUIAfterLogin();
+                
+                // Opens the last used list; its cached copy is shown before the server responds
+                await openUserLists();
+                if (!currentUser) return; // Session rejected by the server
+                showNotification('Automatyczne logowanie powiodło się', 'success');
+            } catch (error) {
+                // Session invalid on server
+                SessionManager.clearSession();
+                currentUser = null;
+                updateUIAfterLogout();
+                showNotification('Sesja wygasła. Zaloguj się ponownie.', 'info');
+                
+                // Pre-fill username if available
+                if (savedUser && savedUser.username) {
+                    elements.loginUsername.value = savedUser.username;
+                }
+            }
+        } else if (savedUser && !isSessionValid) {
+            // Session expired
+            SessionManager.clearSession();
+            showNotification('Sesja wygasła. Zaloguj się ponownie.', 'info');
+            
+            // Pre-fill username
+            if (savedUser.username) {
+                elements.loginUsername.value = savedUser.username;
+            }
+        }
+    };
+    
+    /**
+     * Save user session if "remember me" is checked
+     */
+    const saveUserSession = (userData) => {
+        const rememberMe = elements.rememberMe && elements.rememberMe.checked;
+        SessionManager.saveSession(userData, rememberMe);
+    };
+
+    // ===== EVENT HANDLERS =====
+    
+    /**
+     * Handle item click event with event delegation
+     */
+    const handleItemClick = (e) => {
+        // Don't handle clicks in edit mode or on read-only lists
+        if (isEditingMode || !canEditList()) return;
+        
+        const listItem = e.target.closest('li');
+        if (!listItem || listItem.classList.contains('empty-list')) return;
+        
+        if (listItem.classList.contains('category-header')) {
+            toggleCategory(listItem.dataset.category);
+            return;
+        }
+        
+        // Check if checkbox was clicked
+        if (e.target.classList.contains('item-checkbox')) {
+            const id = parseInt(listItem.dataset.id);
+            toggleItem(id);
+        }
+        
+        // Check if delete button was clicked (for individual items)
+        if (e.target.classList.contains('item-delete')) {
+            const id = parseInt(listItem.dataset.id);
+            deleteItem(id);
+        }
+    };
+
+    /**
+     * Render changes postponed while an edit mode field had focus
+     */
+    const handleListFocusOut = () => {
+        if (!renderAfterEditFocus) return;
+        
+        // Let the field's own change handler run first
+        setTimeout(() => {
+            if (renderAfterEditFocus && !elements.shoppingItems.contains(document.activeElement)) {
+                renderAfterEditFocus = false;
+                renderShoppingList();
+            }
+        }, 0);
+    };
+
+    // ===== LIVE SYNC =====
+    
+    /**
+     * Check whether an item was changed locally since edit mode started
+     */
+    const isLocallyModified = (id) => {
+        const current = shoppingList.find(item => item.id === id);
+        const original = originalList.find(item => item.id === id);
+        if (!current || !original) return true;
+        
+        return EDITABLE_FIELDS.some(field => current[field] !== original[field]);
+    };
+    
+    /**
+     * Insert, replace or remove an item in a list by ID
+     */
+    const applyEventToList = (list, event) => {
+        const index = list.findIndex(item => item.id === event.item_id);
+        
+        if (event.type === 'delete') {
+            if (index !== -1) list.splice(index, 1);
+        } else if (index === -1) {
+            list.push({ ...event.item });
+        } else {
+            list[index] = { ...list[index], ...event.item };
+        }
+    };
+    
+    /**
+     * Apply item changes made on other devices
+     */
+    const applyRemoteEvents = (events) => {
+        events.forEach(event => {
+            if (!isEditingMode) {
+                applyEventToList(shoppingList, event);
+                return;
+            }
+            
+            // In edit mode only touch items the user has not changed yet; changed
+            // items keep their old base version and surface in the merge dialog on save
+            const inOriginal = originalList.some(item => item.id === event.item_id);
+            if (inOriginal && isLocallyModified(event.item_id)) return;
+            
+            applyEventToList(originalList, event);
+            applyEventToList(shoppingList, event);
+            if (event.type === 'delete') {
+                delete baseVersions[event.item_id];
+            } else {
+                trackBaseVersion(event.item);
+            }
+        });
+        
+        // Re-rendering would throw away what the user is typing right now
+        if (isEditingMode && elements.shoppingItems.contains(document.activeElement)) {
+            renderAfterEditFocus = true;
+            return;
+        }
+        renderShoppingList();
+    };
+
+    // ===== UI MANAGEMENT =====
+    
+    /**
+     * Update UI after successful login
+     */
+    const updateUIAfterLogin = () => {
+        elements.currentUserSpan.textContent = currentUser.username;
+        elements.listSwitcher.style.display = 'inline-block';
+        elements.authSection.style.display = 'none';
+        elements.appSection.style.display = 'block';
+        elements.btnSettings.style.display = 'block';
+        
+        // Clear form fields
+        elements.loginUsername.value = '';
+        elements.loginPassword.value = '';
+    };
+    
+    /**
+     * Update UI after logout
+     */
+    const updateUIAfterLogout = () => {
+        currentUser = null;
+        LiveSync.stop();
+        closeSettings();
+        closeShopMode();
+        clearTimeout(replayRetryTimer);
+        
+        elements.currentUserSpan.textContent = 'Nie zalogowano';
+        elements.listSwitcher.style.display = 'none';
+        elements.authSection.style.display = 'block';
+        elements.appSection.style.display = 'none';
+        elements.btnSettings.style.display = 'none';
+        
+        // Clear lists and shopping list
+        lists = [];
+        currentListId = null;
+        DatabaseModule.setCurrentList(null);
+        clearHistory();
+        applyListPermissions();
+        shoppingList = [];
+        listSavedAt = null;
+        staples = [];
+        setListStale(false);
+        renderShoppingList();
+    };
+
+    // ===== SETTINGS FUNCTIONS =====
+    
+    /**
+     * Close the settings panel on overlay click (modals must be answered explicitly)
+     */
+    const handleOverlayClick = () => {
+        if (activeModal) return;
+        closeSettings();
+    };
+    
+    /**
+     * Show a modal dialog on top of the overlay
+     */
+    const openModal = (modal) => {
+        elements.settingsPanel.classList.remove('open');
+        activeModal = modal;
+        modal.style.display = 'block';
+        elements.overlay.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    };
+    
+    /**
+     * Hide a modal dialog together with the overlay
+     */
+    const closeModal = (modal) => {
+        modal.style.display = 'none';
+        activeModal = null;
+        elements.overlay.style.display = 'none';
+        document.body.style.overflow = 'auto';
+    };
+    
+    /**
+     * Open settings panel
+     */
+    const openSettings = () => {
+        renderSharing();
+        renderStaples();
+        loadStaples();
+        renderTrash();
+        renderBudget();
+        renderCategoryOrder();
+        elements.settingsPanel.classList.add('open');
+        elements.overlay.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    };
+    
+    /**
+     * Close settings panel
+     */
+    const closeSettings = () => {
+        elements.settingsPanel.classList.remove('open');
+        elements.overlay.style.display = 'none';
+        document.body.style.overflow = 'auto';
+    };
+    
+    /**
+     * Change theme based on user selection
+     */
+    const changeTheme = () => {
+        const theme = elements.themeSelect.value;
+        
+        // Remove all theme classes
+        document.body.classList.remove('modern-theme', 'darkmodern-theme');
+        
+        // Add selected theme class
+        if (theme === 'modern') {
+            document.body.classList.add('modern-theme');
+        } else if (theme === 'darkmodern') {
+            document.body.classList.add('darkmodern-theme');
+        }
+        
+        // Save theme preference
+        localStorage.setItem('theme', theme);
+        showNotification('Motyw zmieniony', 'success');
+    };
+    
+    /**
+     * Load user's theme preference from localStorage
+     */
+    const loadThemePreference = () => {
+        const savedTheme = localStorage.getItem('theme') || 'notes';
+        elements.themeSelect.value = savedTheme;
+        
+        // Apply saved theme
+        if (savedTheme === 'modern') {
+            document.body.classList.add('modern-theme');
+        } else if (savedTheme === 'darkmodern') {
+            document.body.classList.add('darkmodern-theme');
+        }
+    };
+
+    // ===== LIST MANAGEMENT =====
+    
+    /**
+     * Clear entire shopping list with confirmation
+     */
+    const clearList = async () => {
+        if (!canEditList()) return;
+        
+        if (!confirm('Czy na pewno chcesz wyczyścić całą listę?')) {
+            return;
+        }
+        
+        try {
+            const removed = shoppingList.map(item => ({ ...item }));
+            await DatabaseModule.clearList();
+            shoppingList = [];
+            renderShoppingList();
+            recordRemoval('wyczyszczenie listy', removed);
+            showNotification('Lista wyczyszczona – produkty są w koszu', 'success', UNDO_TOAST_DURATION, undoAction());
+            closeSettings();
+        } catch (error) {
+            console.error('Error clearing list:', error);
+            showNotification('Błąd podczas czyszczenia listy: ' + error.message, 'error');
+        }
+    };
+
+    /**
+     * Remove all checked items from the list with confirmation
+     */
+    const removeCheckedItems = async () => {
+        if (!canEditList()) return;
+        
+        const checkedItems = shoppingList.filter(item => item.completed);
+        
+        if (checkedItems.length === 0) {
+            showNotification('Brak zaznaczonych produktów do usunięcia', 'info');
+            return;
+        }
+        
+        if (!confirm(`Czy na pewno chcesz usunąć ${checkedItems.length} zaznaczonych produktów?`)) {
+            return;
+        }
+        
+        try {
+            const removed = checkedItems.map(item => ({ ...item }));
+            await DatabaseModule.removeCheckedItems();
+            shoppingList = shoppingList.filter(item => !item.completed);
+            renderShoppingList();
+            recordRemoval('usunięcie zaznaczonych', removed);
+            showNotification(`Przeniesiono do kosza ${checkedItems.length} produktów`, 'success', UNDO_TOAST_DURATION, undoAction());
+            closeSettings();
+        } catch (error) {
+            console.error('Error removing checked items:', error);
+            showNotification('Błąd podczas usuwania zaznaczonych produktów: ' + error.message, 'error');
+        }
+    };
+
+    /**
+     * Finish shopping: archive the checked items as a trip in the history
+     */
+    const finishTrip = async () => {
+        if (!canEditList() || isEditingMode) return;
+        
+        const checkedItems = shoppingList.filter(item => item.completed);
+        
+        if (checkedItems.length === 0) {
+            showNotification('Zaznacz kupione produkty, aby zakończyć zakupy', 'info');
+            return;
+        }
+        
+        if (!confirm(`Zakończyć zakupy? ${checkedItems.length} kupionych produktów trafi do historii.`)) {
+            return;
+        }
+        
+        try {
+            const result = await DatabaseModule.finishTrip();
+            trips = result.trips;
+            shoppingList = shoppingList.filter(item => !item.completed);
+            // Archived items are gone from the list, so earlier steps cannot be undone
+            clearHistory();
+            renderShoppingList();
+            showNotification(`Zakupy zakończone – ${result.archived} produktów w historii`, 'success');
+        } catch (error) {
+            console.error('Error finishing trip:', error);
+            if (error.status === 400) {
+                showNotification('Brak kupionych produktów do zapisania w historii', 'info');
+                loadShoppingList();
+            } else {
+                showNotification('Błąd podczas kończenia zakupów: ' + error.message, 'error');
+            }
+        }
+    };
+
+    /**
+     * Delete individual item
+     */
+    const deleteItem = async (id) => {
+        if (!confirm('Czy na pewno chcesz usunąć ten produkt?')) {
+            return;
+        }
+        
+        try {
+            const removed = shoppingList.filter(item => item.id === id).map(item => ({ ...item }));
+            const result = await DatabaseModule.deleteItem(id);
+            shoppingList = shoppingList.filter(item => item.id !== id);
+            renderShoppingList();
+            updateNetworkStatus();
+            if (removed.length > 0) {
+                recordRemoval(`usunięcie „${removed[0].text}”`, removed);
+            }
+            showNotification(result.queued ? 'Produkt usunięty offline – zostanie zsynchronizowany' : 'Produkt przeniesiony do kosza',
+                'success', UNDO_TOAST_DURATION, undoAction());
+        } catch (error) {
+            console.error('Error deleting item:', error);
+            showNotification('Błąd podczas usuwania produktu: ' + error.message, 'error');
+        }
+    };
+
+    // ===== UNDO / REDO =====
+    
+    /**
+     * Remember a reversible operation: { label, undo, redo }
+     */
+    const recordOperation = (operation) => {
+        undoStack.push(operation);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+    };
+    
+    /**
+     * Forget the history, e.g. when another list is opened
+     */
+    const clearHistory = () => {
+        undoStack = [];
+        redoStack = [];
+    };
+    
+    /**
+     * Toast action that undoes the last operation
+     */
+    const undoAction = () => ({ label: 'Cofnij', handler: undo });
+    
+    /**
+     * Bring removed items back from the trash with their original fields and IDs
+     */
+    const restoreItems = async (snapshots) => {
+        const result = await DatabaseModule.restoreItems(snapshots.map(item => item.id));
+        
+        if (result.items) {
+            shoppingList = result.items;
+        } else {
+            // Queued offline: show the items again until the queue is replayed
+            const missing = snapshots.filter(snapshot => !shoppingList.some(item => item.id === snapshot.id));
+            shoppingList.push(...missing.map(item => ({ ...item, pending: true })));
+        }
+    };
+    
+    /**
+     * Move exactly the given items to the trash in one batch
+     */
+    const removeItems = async (snapshots) => {
+        const ids = new Set(snapshots.map(item => item.id));
+        const result = await DatabaseModule.saveListChanges({
+            creates: [],
+            updates: [],
+            deletes: [...ids].map(id => ({ id }))
+        });
+        shoppingList = result.items || shoppingList.filter(item => !ids.has(item.id));
+    };
+    
+    /**
+     * Record a removal of items so it can be undone
+     */
+    const recordRemoval = (label, snapshots) => {
+        recordOperation({
+            label,
+            undo: () => restoreItems(snapshots),
+            redo: () => removeItems(snapshots)
+        });
+    };
+    
+    /**
+     * Run one step of the history and move it to the other stack
+     */
+    const runHistoryStep = async (from, to, direction) => {
+        if (isEditingMode || historyBusy || !canEditList()) return;
+        
+        const operation = from.pop();
+        if (!operation) {
+            showNotification(direction === 'undo' ? 'Nie ma nic do cofnięcia' : 'Nie ma nic do ponowienia', 'info');
+            return;
+        }
+        
+        historyBusy = true;
+        try {
+            await operation[direction]();
+        } catch (error) {
+            // Keep the step where it was so the user can try again
+            from.push(operation);
+            console.error(`Error during ${direction}:`, error);
+            showNotification((direction === 'undo' ? 'Nie udało się cofnąć: ' : 'Nie udało się ponowić: ') + error.message, 'error');
+            return;
+        } finally {
+            historyBusy = false;
+        }
+        
+        to.push(operation);
+        renderShoppingList();
+        updateNetworkStatus();
+        
+        if (direction === 'undo') {
+            showNotification(`Cofnięto: ${operation.label}`, 'success', UNDO_TOAST_DURATION, { label: 'Ponów', handler: redo });
+        } else {
+            showNotification(`Ponowiono: ${operation.label}`, 'success', UNDO_TOAST_DURATION, undoAction());
+        }
+    };
+    
+    const undo = () => runHistoryStep(undoStack, redoStack, 'undo');
+    const redo = () => runHistoryStep(redoStack, undoStack, 'redo');
+    
+    /**
+     * Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y outside of text fields
+     */
+    const handleHistoryKeys = (e) => {
+        if (!currentUser || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    };
+
+    // ===== CONFLICT HANDLING =====
+    
+    /**
+     * Pick the user-editable fields of an item
+     */
+    const pickEditableFields = (item) => {
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (item[field] !== undefined) fields[field] = item[field];
+        });
+        return fields;
+    };
+    
+    /**
+     * Remember the server version of an item the current edit is based on
+     */
+    const trackBaseVersion = (item) => {
+        if (isEditingMode && !DatabaseModule.isTempId(item.id)) {
+            baseVersions[item.id] = item.updated_at ?? null;
+        }
+    };
+    
+    /**
+     * Save item changes guarded by the item's updated_at.
+     * When another device saved the item first, the merge dialog decides what to keep.
+     */
+    const saveItemUpdate = async (item, updates) => {
+        const payload = { ...updates };
+        if (!DatabaseModule.isTempId(item.id) && item.updated_at !== undefined) {
+            payload.base_updated_at = item.updated_at;
+        }
+        
+        try {
+            const result = await DatabaseModule.updateItem(item.id, payload);
+            Object.assign(item, updates, result.item || {});
+            trackBaseVersion(item);
+            return result;
+        } catch (error) {
+            if (error.status !== 409 || !error.data || !error.data.item) throw error;
+            
+            await resolveItemConflict({ ...item, ...updates }, error.data.item);
+            return { resolved: true };
+        }
+    };
+    
+    /**
+     * Apply the user's merge decision for a single conflicting item
+     */
+    const resolveItemConflict = async (mine, theirs) => {
+        const choice = await showMergeDialog(mine, theirs);
+        const index = shoppingList.findIndex(item => item.id === mine.id);
+        const serverCopy = { ...theirs };
+        
+        if (index !== -1) {
+            shoppingList[index] = serverCopy;
+        }
+        trackBaseVersion(serverCopy);
+        
+        if (choice === 'mine') {
+            // Re-apply my version on top of the server copy
+            await saveItemUpdate(serverCopy, pickEditableFields(mine));
+        } else if (choice === 'both') {
+            const copy = await DatabaseModule.addItem(pickEditableFields(mine));
+            shoppingList.push(copy);
+            trackBaseVersion(copy);
+        }
+        
+        renderShoppingList();
+    };
+    
+    /**
+     * Let the user merge an offline change the server refused because another device
+     * saved the item first. Resolves with the mutation to send instead, or null when the
+     * server copy wins. The list is reloaded after the replay, so it is not touched here.
+     */
+    const resolveQueuedConflict = async (mutation, conflict) => {
+        const data = mutation.data || {};
+        
+        if (conflict.item) {
+            const theirs = conflict.item;
+            const mine = { ...theirs, ...pickEditableFields(data) };
+            const choice = await showMergeDialog(mine, theirs);
+            
+            if (choice === 'mine') {
+                // Sent again, based on the server copy by the replay
+                return mutation;
+            }
+            if (choice === 'both') {
+                // My version becomes a new item of the same list
+                return {
+                    ...mutation,
+                    endpoint: mutation.endpoint.replace(/([?&])id=-?\d+&?/, '$1'),
+                    method: 'POST',
+                    data: pickEditableFields(mine),
+                    tempId: null
+                };
+            }
+            return null;
+        }
+        
+        // Batch save of the edit mode
+        let updates = data.updates || [];
+        let deletes = data.deletes || [];
+        const creates = [...(data.creates || [])];
+        
+        for (const theirs of conflict.conflicts) {
+            const id = Number(theirs.id);
+            const update = updates.find(change => Number(change.id) === id);
+            const mine = update ? { ...theirs, ...pickEditableFields(update) } : null;
+            const choice = await showMergeDialog(mine, theirs);
+            
+            if (choice === 'mine') continue;
+            
+            updates = updates.filter(change => Number(change.id) !== id);
+            deletes = deletes.filter(change => Number(change.id) !== id);
+            if (choice === 'both' && mine) {
+                creates.push({ client_id: DatabaseModule.createTempId(), ...pickEditableFields(mine) });
+            }
+        }
+        
+        if (creates.length + updates.length + deletes.length === 0) return null;
+        return { ...mutation, data: { ...data, creates, updates, deletes } };
+    };
+    
+    /**
+     * Describe one version of an item for the merge dialog
+     */
+    const describeItemVersion = (item) => {
+        if (!item) {
+            return '<em>Produkt usunięty</em>';
+        }
+        
+        return `
+            <div class="merge-item-name">${Utils.escapeHtml(item.text)}</div>
+            <div>${Units.format(item.quantity, item.unit)}</div>
+            <div>${Utils.escapeHtml(Categories.getName(Categories.ofItem(item)))}</div>
+            ${item.description ? `<div class="item-description">${Utils.escapeHtml(item.description)}</div>` : ''}
+            <div>${item.completed ? 'Kupione' : 'Do kupienia'}</div>
+        `;
+    };
+    
+    /**
+     * Ask the user how to merge two versions of an item.
+     * Resolves with 'mine', 'theirs' or 'both'; dialogs are shown one at a time.
+     */
+    const showMergeDialog = (mine, theirs) => {
+        const choice = mergeDialogQueue.then(() => new Promise(resolve => {
+            elements.mergeMine.innerHTML = describeItemVersion(mine);
+            elements.mergeTheirs.innerHTML = describeItemVersion(theirs);
+            elements.mergeModal.resolveChoice = resolve;
+            openModal(elements.mergeModal);
+        }));
+        mergeDialogQueue = choice;
+        return choice;
+    };
+    
+    /**
+     * Handle a click on one of the merge dialog buttons
+     */
+    const handleMergeChoice = (e) => {
+        const button = e.target.closest('[data-choice]');
+        const resolve = elements.mergeModal.resolveChoice;
+        if (!button || !resolve) return;
+        
+        elements.mergeModal.resolveChoice = null;
+        closeModal(elements.mergeModal);
+        resolve(button.dataset.choice);
+    };
+    
+    /**
+     * Compute creates, updates and deletes turning one version of the list into another
+     */
+    const computeListDiff = (before, after) => {
+        const beforeById = new Map(before.map(item => [item.id, item]));
+        const afterIds = new Set(after.map(item => item.id));
+        const creates = [];
+        const updates = [];
+        
+        after.forEach(item => {
+            const original = beforeById.get(item.id);
+            if (!original) {
+                creates.push({ client_id: item.id, ...pickEditableFields(item) });
+                return;
+            }
+            
+            const changed = {};
+            EDITABLE_FIELDS.forEach(field => {
+                if (item[field] !== original[field]) changed[field] = item[field];
+            });
+            if (Object.keys(changed).length > 0) {
+                updates.push({ id: item.id, ...changed });
+            }
+        });
+        
+        const deletes = before
+            .filter(item => !afterIds.has(item.id))
+            .map(item => ({ id: item.id }));
+        
+        return { creates, updates, deletes };
+    };
+    
+    /**
+     * Attach the server version each change is based on
+     */
+    const withBaseVersions = (change) => {
+        return change.id in baseVersions
+            ? { ...change, base_updated_at: baseVersions[change.id] }
+            : change;
+    };
+    
+    /**
+     * Save the edit mode diff on the server, resolving conflicting items with the merge dialog
+     */
+    const saveDiffResolvingConflicts = async () => {
+        const MAX_ATTEMPTS = 3;
+        
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const diff = computeListDiff(originalList, shoppingList);
+            if (diff.creates.length + diff.updates.length + diff.deletes.length === 0) {
+                return null;
+            }
+            
+            try {
+                return await DatabaseModule.saveListChanges({
+                    creates: diff.creates,
+                    updates: diff.updates.map(withBaseVersions),
+                    deletes: diff.deletes.map(withBaseVersions)
+                });
+            } catch (error) {
+                if (error.status !== 409 || !error.data || !error.data.conflicts) throw error;
+                
+                for (const theirs of error.data.conflicts) {
+                    const id = Number(theirs.id);
+                    const index = shoppingList.findIndex(item => item.id === id);
+                    const originalIndex = originalList.findIndex(item => item.id === id);
+                    const mine = index === -1 ? null : shoppingList[index];
+                    const choice = await showMergeDialog(mine, theirs);
+                    
+                    baseVersions[id] = theirs.updated_at;
+                    
+                    if (choice === 'mine') {
+                        // Keep the local change, now based on the latest server copy
+                        continue;
+                    }
+                    
+                    // The server copy becomes the starting point of the edit
+                    if (originalIndex !== -1) {
+                        originalList[originalIndex] = { ...theirs };
+                    }
+                    if (index === -1) {
+                        shoppingList.push({ ...theirs });
+                    } else {
+                        shoppingList[index] = { ...theirs };
+                        if (choice === 'both') {
+                            // My version is saved as a separate item
+                            shoppingList.push({ ...mine, id: DatabaseModule.createTempId() });
+                        }
+                    }
+                }
+                renderShoppingList();
+            }
+        }
+        
+        throw new Error('Lista jest ciągle zmieniana na innym urządzeniu. Spróbuj ponownie.');
+    };
+
+    // ===== LIST EDITING FUNCTIONS =====
+    
+    /**
+     * Start editing the entire list
+     */
+    const startListEditing = () => {
+        if (!canEditList()) return;
+        
+        isEditingMode = true;
+        originalList = JSON.parse(JSON.stringify(shoppingList)); // Deep copy for cancel
+        baseVersions = {};
+        shoppingList.forEach(trackBaseVersion);
+        renderListSwitcher();
+        
+        // Show edit mode buttons, hide normal buttons
+        elements.btnSaveChanges.style.display = 'block';
+        elements.btnCancelEdit.style.display = 'block';
+        elements.btnMergeDuplicates.style.display = 'block';
+        elements.btnRefresh.style.display = 'none';
+        elements.btnFinishTrip.style.display = 'none';
+        elements.btnShare.style.display = 'none';
+        elements.btnShopMode.style.display = 'none';
+        elements.btnAddItem.disabled = true;
+        elements.newItemInput.disabled = true;
+        elements.newQuantityInput.disabled = true;
+        elements.newUnitSelect.disabled = true;
+        elements.newDescriptionInput.disabled = true;
+        elements.newPriceInput.disabled = true;
+        
+        // Re-render list in edit mode
+        renderShoppingList();
+        closeSettings();
+        showNotification('Tryb edycji włączony. Edytuj elementy i zapisz zmiany.', 'info');
+    };
+    
+    /**
+     * Save changes made during list editing
+     */
+    const saveListChanges = async () => {
+        try {
+            // Send only what changed since edit mode started
+            const result = await saveDiffResolvingConflicts();
+            
+            // Exit edit mode
+            isEditingMode = false;
+            renderListSwitcher();
+            
+            // Show normal buttons, hide edit buttons
+            elements.btnSaveChanges.style.display = 'none';
+            elements.btnCancelEdit.style.display = 'none';
+            elements.btnMergeDuplicates.style.display = 'none';
+            elements.btnRefresh.style.display = 'block';
+            elements.btnFinishTrip.style.display = 'block';
+            elements.btnShare.style.display = 'block';
+            elements.btnShopMode.style.display = 'block';
+            elements.btnAddItem.disabled = false;
+            elements.newItemInput.disabled = false;
+            elements.newQuantityInput.disabled = false;
+            elements.newUnitSelect.disabled = false;
+            elements.newDescriptionInput.disabled = false;
+            elements.newPriceInput.disabled = false;
+            
+            if (result && result.items) {
+                shoppingList = result.items;
+            }
+            renderShoppingList();
+            updateNetworkStatus();
+            showNotification(result && result.queued
+                ? 'Zmiany zapisane offline – zostaną zsynchronizowane'
+                : 'Zmiany zapisane pomyślnie', 'success');
+        } catch (error) {
+            console.error('Error saving list changes:', error);
+            showNotification('Błąd podczas zapisywania zmian: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Merge repeated products of the list; saved with the other edit mode changes
+     */
+    const mergeDuplicatesDuringEditing = () => {
+        const { items, mergedCount } = Duplicates.mergeAll(shoppingList);
+        if (mergedCount === 0) {
+            showNotification('Na liście nie ma powtórzonych produktów', 'info');
+            return;
+        }
+        
+        if (!confirm(`Scalić ${mergedCount} powtórzonych produktów z pierwszymi wystąpieniami?`)) {
+            return;
+        }
+        
+        shoppingList = items;
+        renderShoppingList();
+        showNotification(`Scalono duplikaty: ${mergedCount}. Zapisz zmiany, aby je zachować.`, 'success');
+    };
+    
+    /**
+     * Cancel list editing and revert changes
+     */
+    const cancelListEditing = () => {
+        isEditingMode = false;
+        renderListSwitcher();
+        shoppingList = JSON.parse(JSON.stringify(originalList)); // Restore original list
+        
+        // Show normal buttons, hide edit buttons
+        elements.btnSaveChanges.style.display = 'none';
+        elements.btnCancelEdit.style.display = 'none';
+        elements.btnMergeDuplicates.style.display = 'none';
+        elements.btnRefresh.style.display = 'block';
+        elements.btnFinishTrip.style.display = 'block';
+        elements.btnShare.style.display = 'block';
+        elements.btnShopMode.style.display = 'block';
+        elements.btnAddItem.disabled = false;
+        elements.newItemInput.disabled = false;
+        elements.newQuantityInput.disabled = false;
+        elements.newUnitSelect.disabled = false;
+        elements.newDescriptionInput.disabled = false;
+        elements.newPriceInput.disabled = false;
+        
+        // Re-render list in normal mode
+        renderShoppingList();
+        showNotification('Edycja anulowana. Zmiany nie zostały zapisane.', 'info');
+    };
+    
+    /**
+     * Remove item from the list during editing
+     */
+        const removeItemDuringEditing = (id) => {
+            const index = shoppingList.findIndex(item => item.id === id);
+            if (index === -1) {
+                console.error('Item not found:', id);
+                return;
+            }
+            // Sent to the server together with the other changes on save
+            shoppingList.splice(index, 1);
+            renderShoppingList();
+        };
+    
+    /**
+     * Update item during editing
+     */
+        const updateItemDuringEditing = (id, field, value) => {
+            const index = shoppingList.findIndex(item => item.id === id);
+            if (index === -1) {
+                console.error('Item not found:', id);
+                return;
+            }
+            const item = shoppingList[index];
+            const changes = { [field]: value };
+            
+            if (field === 'quantity') {
+                // Walidacja dla quantity
+                const quantity = Units.parseQuantity(value);
+                const error = Units.validate(quantity, item.unit);
+                if (error) {
+                    showNotification(error, 'error');
+                    renderShoppingList();
+                    return;
+                }
+                changes.quantity = quantity;
+            } else if (field === 'price') {
+                const price = Utils.parseAmount(value);
+                if (Number.isNaN(price)) {
+                    showNotification('Cena musi być kwotą, np. 4,99', 'error');
+                    renderShoppingList();
+                    return;
+                }
+                changes.price = price;
+            } else if (field === 'unit') {
+                // Keep the amount when switching between kg/g or l/ml, round it for the new unit otherwise
+                const converted = Units.convert(item.quantity, item.unit, value);
+                changes.quantity = Units.round(converted ?? item.quantity, value) || 1;
+            }
+            
+            // Local only until "Zapisz zmiany"; the edited copy must not touch originalList
+            shoppingList[index] = { ...item, ...changes };
+            renderShoppingList(); // Re-render po zmianie
+        };
+
+    // ===== AUTHENTICATION FUNCTIONS =====
+    
+    /**
+     * Switch between login/register tabs
+     */
+    const switchTab = (tabName) => {
+        elements.tabs.forEach(t => t.classList.remove('active'));
+        document.querySelector(`.tab[data-tab="${tabName}"]`).classList.add('active');
+        
+        if (tabName === 'login') {
+            elements.loginTab.classList.add('active');
+            elements.registerTab.classList.remove('active');
+        } else {
+            elements.registerTab.classList.add('active');
+            elements.loginTab.classList.remove('active');
+        }
+    };
+
+    /**
+     * Update password strength indicator
+     */
+    const updatePasswordStrength = () => {
+        const password = elements.registerPassword.value;
+        const { strength, feedback } = PasswordStrength.checkStrength(password);
+        
+        // Update strength bar
+        let width = 0;
+        let strengthClass = '';
+        
+        if (password.length > 0) {
+            switch(strength) {
+                case 'very-weak': width = 25; strengthClass = 'strength-very-weak'; break;
+                case 'weak': width = 50; strengthClass = 'strength-weak'; break;
+                case 'medium': width = 75; strengthClass = 'strength-medium'; break;
+                case 'strong': width = 100; strengthClass = 'strength-strong'; break;
+            }
+        }
+        
+        elements.passwordStrengthBar.style.width = `${width}%`;
+        elements.passwordStrengthBar.className = `password-strength-bar ${strengthClass}`;
+        elements.passwordFeedback.textContent = feedback;
+    };
+
+    /**
+     * Show notification message
+     */
+    const showNotification = (message, type = 'info', duration = 3000, action = null) => {
+        // Clear any existing notifications
+        clearNotification();
+        
+        elements.notification.textContent = message;
+        if (action) {
+            // e.g. "Cofnij" after a destructive operation
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                clearNotification();
+                action.handler();
+            });
+            elements.notification.appendChild(button);
+        }
+        elements.notification.className = `notification ${type}`;
+        elements.notification.style.display = 'block';
+        
+        // Auto-hide after duration
+        elements.notification.timeoutId = setTimeout(() => {
+            elements.notification.style.display = 'none';
+        }, duration);
+    };
+    
+    /**
+     * Clear any visible notification
+     */
+    const clearNotification = () => {
+        if (elements.notification.timeoutId) {
+            clearTimeout(elements.notification.timeoutId);
+        }
+        elements.notification.style.display = 'none';
+    };
+
+    /**
+     * Set button loading state
+     */
+    const setLoading = (button, isLoading) => {
+        const buttons = {
+            login: {
+                loading: elements.loginLoading,
+                text: elements.loginText,
+                button: elements.btnLogin,
+                defaultText: 'Zaloguj się'
+            },
+            register: {
+                loading: elements.registerLoading,
+                text: elements.registerText,
+                button: elements.btnRegister,
+                defaultText: 'Zarejestruj się'
+            }
+        };
+        
+        const btnConfig = buttons[button];
+        if (!btnConfig) return;
+        
+        if (isLoading) {
+            btnConfig.loading.style.display = 'inline-block';
+            btnConfig.text.textContent = 'Przetwarzanie...';
+            btnConfig.button.disabled = true;
+        } else {
+            btnConfig.loading.style.display = 'none';
+            btnConfig.text.textContent = btnConfig.defaultText;
+            btnConfig.button.disabled = false;
+        }
+    };
+
+    /**
+     * Check if user is locked out due to too many failed login attempts
+     */
+    const isLockedOut = () => {
+        if (failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+            const now = Date.now();
+            if (now < lockoutUntil) {
+                const remainingMinutes = Math.ceil((lockoutUntil - now) / 60000);
+                showNotification(`Zbyt wiele nieudanych prób. Spróbuj ponownie za ${remainingMinutes} minut.`, 'error', 5000);
+                return true;
+            } else {
+                // Reset lockout after time passes
+                failedLoginAttempts = 0;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Register a new user
+     */
+    const register = async () => {
+        const username = elements.registerUsername.value.trim();
+        const password = elements.registerPassword.value;
+        const confirm = elements.registerConfirm.value;
+        
+        // Validate form
+        if (!username || !password) {
+            showNotification('Login i hasło są wymagane', 'error');
+            return;
+        }
+        
+        if (username.length < 3) {
+            showNotification('Login musi mieć co najmniej 3 znaki', 'error');
+            return;
+        }
+        
+        if (password !== confirm) {
+            showNotification('Hasła nie są identyczne', 'error');
+            return;
+        }
+        
+        // Check password strength
+        const { strength } = PasswordStrength.checkStrength(password);
+        if (strength === 'very-weak' || strength === 'weak') {
+            showNotification('Hasło jest zbyt słabe', 'error');
+            return;
+        }
+        
+        setLoading('register', true);
+        
+        try {
+            const response = await DatabaseModule.registerUser(username, password);
+            
+            // Automatically log in after registration
+            currentUser = { username: response.username };
+            saveUserSession(currentUser);
+            
+            updateUIAfterLogin();
+            showNotification('Konto zostało utworzone i zostałeś automatycznie zalogowany', 'success');
+            
+            // Clear registration form
+            elements.registerUsername.value = '';
+            elements.registerPassword.value = '';
+            elements.registerConfirm.value = '';
+            elements.passwordStrengthBar.style.width = '0';
+            elements.passwordFeedback.textContent = '';
+            
+            // Open the user's (new, empty) list
+            openUserLists();
+        } catch (error) {
+            console.error('Registration error:', error);
+            showNotification('Rejestracja nie powiodła się: ' + error.message, 'error');
+        } finally {
+            setLoading('register', false);
+        }
+    };
+
+    /**
+     * Login user
+     */
+    const login = async () => {
+        if (isLockedOut()) return;
+        
+        const username = elements.loginUsername.value.trim();
+        const password = elements.loginPassword.value;
+        
+        // Validate form
+        if (!username || !password) {
+            showNotification('Login i hasło są wymagane', 'error');
+            return;
+        }
+        
+        setLoading('login', true);
+        
+        try {
+            const response = await DatabaseModule.loginUser(username, password);
+            
+            // Login successful
+            failedLoginAttempts = 0;
+            currentUser = { username: response.username };
+            
+            // Save session if "remember me" is checked
+            saveUserSession(currentUser);
+            
+            // Update UI
+            updateUIAfterLogin();
+            showNotification('Zalogowano pomyślnie', 'success');
+            
+            // Open the last used list
+            openUserLists();
+        } catch (error) {
+            console.error('Login error:', error);
+            failedLoginAttempts++;
+            
+            if (failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+                lockoutUntil = Date.now() + LOCKOUT_TIME;
+                showNotification(`Zbyt wiele nieudanych prób. Spróbuj ponownie za 5 minut.`, 'error', 5000);
+            } else {
+                showNotification(`Logowanie nie powiodło się: ${error.message}. Pozostałe próby: ${MAX_LOGIN_ATTEMPTS - failedLoginAttempts}`, 'error');
+            }
+        } finally {
+            setLoading('login', false);
+        }
+    };
+
+    /**
+     * Logout user
+     */
+    const logout = async () => {
+        const pendingCount = await DatabaseModule.getPendingCount().catch(() => 0);
+        if (pendingCount > 0 && !confirm(`Masz ${pendingCount} niezsynchronizowanych zmian. Wylogowanie je usunie. Kontynuować?`)) {
+            return;
+        }
+
+        try {
+            await DatabaseModule.clearQueue().catch(() => {});
+            if (currentUser) {
+                ListCache.clear(currentUser.username);
+                ProductHistory.clear(currentUser.username);
+            }
+            await DatabaseModule.logoutUser();
+        } catch (error) {
+            console.error('Logout error:', error);
+            // Even if server logout fails, clear local session
+        } finally {
+            // Clear session data
+            SessionManager.clearSession();
+            updateUIAfterLogout();
+            updateNetworkStatus();
+            showNotification('Wylogowano pomyślnie', 'info');
+        }
+    };
+
+    // ===== NAMED LISTS =====
+    
+    /**
+     * Check if an API error means the server session is gone
+     */
+    const isAuthError = (error) => {
+        return error.status === 401 || error.message.includes('401') || error.message.includes('Nieautoryzowany');
+    };
+    
+    /**
+     * Drop the local session after the server rejected it
+     */
+    const handleSessionExpired = () => {
+        ListCache.clear(currentUser.username);
+        ProductHistory.clear(currentUser.username);
+        SessionManager.clearSession();
+        currentUser = null;
+        updateUIAfterLogout();
+        showNotification('Sesja wygasła. Zaloguj się ponownie.', 'info');
+    };
+    
+    /**
+     * Load the user's lists, falling back to the cached ones when offline
+     */
+    const loadLists = async () => {
+        try {
+            lists = await DatabaseModule.getLists();
+            ListCache.saveLists(currentUser.username, lists);
+        } catch (error) {
+            if (isAuthError(error)) throw error;
+            
+            console.error('Error loading lists:', error);
+            lists = ListCache.loadLists(currentUser.username) || [];
+        }
+    };
+    
+    /**
+     * Load the lists and open the one used last
+     */
+    const openUserLists = async () => {
+        if (!currentUser) return;
+        
+        try {
+            await loadLists();
+        } catch (error) {
+            handleSessionExpired();
+            return;
+        }
+        
+        const activeLists = lists.filter(list => !list.archived);
+        const candidates = activeLists.length > 0 ? activeLists : lists;
+        if (candidates.length === 0) {
+            showNotification('Nie udało się pobrać list zakupów', 'error');
+            return;
+        }
+        
+        const lastListId = UserPreferences.get(currentUser.username, 'lastListId');
+        const target = candidates.find(list => list.id === lastListId) || candidates[0];
+        loadListView();
+        await switchList(target.id);
+        notifyPendingInvites();
+        loadProductHistory();
+    };
+    
+    /**
+     * Open another list
+     */
+    const switchList = async (listId) => {
+        if (isEditingMode || !lists.some(list => list.id === listId)) {
+            renderListSwitcher();
+            return;
+        }
+        
+        currentListId = listId;
+        DatabaseModule.setCurrentList(listId);
+        UserPreferences.set(currentUser.username, 'lastListId', listId);
+        clearHistory();
+        renderListSwitcher();
+        renderListManager();
+        applyListPermissions();
+        
+        // Clear the previous list without overwriting the offline copy of the new one
+        shoppingList = [];
+        listSavedAt = null;
+        staples = [];
+        setListStale(false);
+        renderShoppingList();
+        
+        LiveSync.start(applyRemoteEvents);
+        await loadShoppingList();
+    };
+    
+    /**
+     * Fill the header list switcher
+     */
+    const renderListSwitcher = () => {
+        const visibleLists = lists.filter(list => !list.archived || list.id === currentListId);
+        
+        elements.listSwitcher.innerHTML = visibleLists.map(list => `
+            <option value="${list.id}" ${list.id === currentListId ? 'selected' : ''}>
+                ${Utils.escapeHtml(list.name)}${list.role !== 'owner' ? ` (${Utils.escapeHtml(list.owner_name)})` : ''}${list.archived ? ' (archiwum)' : ''}
+            </option>
+        `).join('');
+        elements.listSwitcher.disabled = isEditingMode;
+    };
+    
+    /**
+     * Render the list management section of the settings panel
+     */
+    const renderListManager = () => {
+        elements.listManager.innerHTML = lists.map(list => `
+            <li data-list-id="${list.id}" class="${list.id === currentListId ? 'current-list' : ''} ${list.archived ? 'archived-list' : ''}">
+                <span class="list-manager-name">${Utils.escapeHtml(list.name)}</span>
+                <span class="list-manager-count">${list.open_count ?? 0}/${list.item_count ?? 0}</span>
+                ${list.role === 'owner' ? `
+                    <button type="button" class="btn-secondary" data-list-action="rename" title="Zmień nazwę">✏️</button>
+                    <button type="button" class="btn-secondary" data-list-action="archive" title="${list.archived ? 'Przywróć z archiwum' : 'Archiwizuj'}">${list.archived ? '📤' : '🗄️'}</button>
+                    <button type="button" class="btn-danger" data-list-action="delete" title="Usuń">🗑️</button>
+                ` : `
+                    <span class="list-manager-owner">od ${Utils.escapeHtml(list.owner_name)} · ${ROLE_LABELS[list.role]}</span>
+                `}
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Replace a list in the local collection with the server version
+     */
+    const storeList = (updatedList) => {
+        const index = lists.findIndex(list => list.id === updatedList.id);
+        if (index === -1) {
+            lists.push(updatedList);
+        } else {
+            lists[index] = updatedList;
+        }
+        ListCache.saveLists(currentUser.username, lists);
+    };
+    
+    /**
+     * Create a new named list and open it
+     */
+    const createList = async () => {
+        const name = elements.newListName.value.trim();
+        if (!name) {
+            showNotification('Nazwa listy jest wymagana', 'error');
+            return;
+        }
+        
+        try {
+            const newList = await DatabaseModule.createList(name);
+            storeList(newList);
+            elements.newListName.value = '';
+            await switchList(newList.id);
+            closeSettings();
+            showNotification(`Utworzono listę "${newList.name}"`, 'success');
+        } catch (error) {
+            console.error('Error creating list:', error);
+            showNotification('Błąd podczas tworzenia listy: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Handle rename / archive / delete buttons in the list manager
+     */
+    const handleListManagerClick = async (e) => {
+        const button = e.target.closest('[data-list-action]');
+        if (!button) return;
+        
+        const listId = Number(button.closest('li').dataset.listId);
+        const list = lists.find(l => l.id === listId);
+        if (!list) return;
+        
+        try {
+            switch (button.dataset.listAction) {
+                case 'rename': {
+                    const name = prompt('Nowa nazwa listy:', list.name);
+                    if (!name || !name.trim() || name.trim() === list.name) return;
+                    
+                    storeList(await DatabaseModule.updateList(listId, { name: name.trim() }));
+                    showNotification('Nazwa listy zmieniona', 'success');
+                    break;
+                }
+                case 'archive': {
+                    storeList(await DatabaseModule.updateList(listId, { archived: !list.archived }));
+                    showNotification(list.archived ? 'Lista przywrócona' : 'Lista zarchiwizowana', 'success');
+                    
+                    // Archived lists are not worked on, move to another one
+                    if (!list.archived && listId === currentListId) {
+                        await openFirstActiveList();
+                    }
+                    break;
+                }
+                case 'delete': {
+                    if (!confirm(`Czy na pewno chcesz usunąć listę "${list.name}" razem z produktami? Tej operacji nie można cofnąć.`)) {
+                        return;
+                    }
+                    
+                    await DatabaseModule.deleteList(listId);
+                    lists = lists.filter(l => l.id !== listId);
+                    ListCache.saveLists(currentUser.username, lists);
+                    showNotification('Lista usunięta', 'success');
+                    
+                    if (listId === currentListId) {
+                        await openFirstActiveList();
+                    }
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Error managing list:', error);
+            showNotification('Błąd podczas zmiany listy: ' + error.message, 'error');
+        }
+        
+        renderListSwitcher();
+        renderListManager();
+    };
+    
+    /**
+     * Open the first list that is not archived
+     */
+    const openFirstActiveList = async () => {
+        const nextList = lists.find(list => !list.archived);
+        if (nextList) {
+            await switchList(nextList.id);
+        }
+    };
+
+    // ===== SHARING =====
+    
+    /**
+     * Get the user's role on the current list
+     */
+    const getCurrentRole = () => {
+        const list = lists.find(l => l.id === currentListId);
+        return list ? list.role : 'owner';
+    };
+    
+    /**
+     * Check whether the user may change items of the current list
+     */
+    const canEditList = () => getCurrentRole() !== 'viewer';
+    
+    /**
+     * Lock the item controls when the current list is shared read-only
+     */
+    const applyListPermissions = () => {
+        const readOnly = !canEditList();
+        
+        elements.appSection.classList.toggle('list-readonly', readOnly);
+        elements.readonlyBanner.style.display = readOnly ? 'block' : 'none';
+        elements.readonlyBanner.textContent = readOnly
+            ? 'Masz dostęp do tej listy tylko do podglądu.'
+            : '';
+        elements.btnEditList.disabled = readOnly;
+        elements.btnRemoveChecked.disabled = readOnly;
+        elements.btnClearList.disabled = readOnly;
+        elements.btnFinishTrip.disabled = readOnly;
+        elements.btnImport.disabled = readOnly;
+    };
+    
+    /**
+     * Render members of the current list and the user's pending invitations
+     */
+    const renderSharing = async () => {
+        const isOwner = getCurrentRole() === 'owner';
+        elements.inviteForm.style.display = isOwner ? 'flex' : 'none';
+        renderPublicLinks(isOwner);
+        
+        try {
+            const [members, invites] = await Promise.all([
+                currentListId ? DatabaseModule.getListMembers(currentListId) : [],
+                DatabaseModule.getInvites()
+            ]);
+            renderMemberList(members, isOwner);
+            renderInviteList(invites);
+        } catch (error) {
+            console.error('Error loading sharing info:', error);
+            elements.memberList.innerHTML = '<li class="member-empty">Nie udało się pobrać listy osób</li>';
+            elements.inviteList.innerHTML = '';
+        }
+    };
+    
+    /**
+     * Render the people with access to the current list
+     */
+    const renderMemberList = (members, isOwner) => {
+        elements.memberList.innerHTML = members.map(member => {
+            const isSelf = member.username === currentUser.username;
+            const pending = member.status === 'pending' ? ' <span class="member-pending">(oczekuje)</span>' : '';
+            let controls = `<span class="member-role">${ROLE_LABELS[member.role]}</span>`;
+            
+            if (isOwner && member.role !== 'owner') {
+                controls = `
+                    <select class="member-role-select" aria-label="Uprawnienia">
+                        <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>${ROLE_LABELS.editor}</option>
+                        <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>${ROLE_LABELS.viewer}</option>
+                    </select>
+                    <button type="button" class="btn-danger" data-member-action="revoke" title="Odbierz dostęp">✖</button>
+                `;
+            } else if (isSelf && member.role !== 'owner') {
+                controls += '<button type="button" class="btn-secondary" data-member-action="leave">Opuść</button>';
+            }
+            
+            return `
+                <li data-user-id="${member.user_id}">
+                    <span class="member-name">${Utils.escapeHtml(member.username)}${isSelf ? ' (Ty)' : ''}${pending}</span>
+                    ${controls}
+                </li>
+            `;
+        }).join('');
+    };
+    
+    /**
+     * Render invitations waiting for the user's answer
+     */
+    const renderInviteList = (invites) => {
+        elements.inviteList.innerHTML = invites.map(invite => `
+            <li data-list-id="${invite.list_id}">
+                <span class="member-name">
+                    ${Utils.escapeHtml(invite.name)}
+                    <small>od ${Utils.escapeHtml(invite.invited_by)} · ${ROLE_LABELS[invite.role]}</small>
+                </span>
+                <button type="button" class="btn-primary" data-invite-action="accept">Przyjmij</button>
+                <button type="button" class="btn-secondary" data-invite-action="decline">Odrzuć</button>
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Invite another user to the current list
+     */
+    const inviteMember = async () => {
+        const username = elements.inviteUsername.value.trim();
+        if (!username) {
+            showNotification('Podaj login osoby, której chcesz udostępnić listę', 'error');
+            return;
+        }
+        
+        try {
+            const members = await DatabaseModule.inviteMember(currentListId, username, elements.inviteRole.value);
+            elements.inviteUsername.value = '';
+            renderMemberList(members, true);
+            showNotification(`Wysłano zaproszenie do ${username}`, 'success');
+        } catch (error) {
+            console.error('Error inviting member:', error);
+            const messages = {
+                400: 'Nie możesz zaprosić samego siebie',
+                404: 'Nie znaleziono użytkownika o takim loginie',
+                409: 'Ta osoba ma już dostęp lub zaproszenie do tej listy'
+            };
+            showNotification(messages[error.status] || 'Błąd podczas wysyłania zaproszenia: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Change the role of a member of the current list
+     */
+    const handleMemberRoleChange = async (e) => {
+        if (!e.target.classList.contains('member-role-select')) return;
+        
+        const userId = Number(e.target.closest('li').dataset.userId);
+        try {
+            renderMemberList(await DatabaseModule.updateMemberRole(currentListId, userId, e.target.value), true);
+            showNotification('Uprawnienia zmienione', 'success');
+        } catch (error) {
+            console.error('Error changing member role:', error);
+            showNotification('Błąd podczas zmiany uprawnień: ' + error.message, 'error');
+            renderSharing();
+        }
+    };
+    
+    /**
+     * Revoke someone's access or leave a shared list
+     */
+    const handleMemberListClick = async (e) => {
+        const button = e.target.closest('[data-member-action]');
+        if (!button) return;
+        
+        const userId = Number(button.closest('li').dataset.userId);
+        const leaving = button.dataset.memberAction === 'leave';
+        const question = leaving
+            ? 'Czy na pewno chcesz opuścić tę listę?'
+            : 'Czy na pewno chcesz odebrać tej osobie dostęp do listy?';
+        if (!confirm(question)) return;
+        
+        try {
+            await DatabaseModule.removeMember(currentListId, userId);
+            
+            if (leaving) {
+                lists = lists.filter(l => l.id !== currentListId);
+                ListCache.saveLists(currentUser.username, lists);
+                showNotification('Opuszczono listę', 'success');
+                await openFirstActiveList();
+                renderListSwitcher();
+                renderListManager();
+            } else {
+                showNotification('Dostęp odebrany', 'success');
+            }
+            renderSharing();
+        } catch (error) {
+            console.error('Error removing member:', error);
+            showNotification('Błąd podczas zmiany dostępu: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Accept or decline an invitation to a shared list
+     */
+    const handleInviteClick = async (e) => {
+        const button = e.target.closest('[data-invite-action]');
+        if (!button) return;
+        
+        const listId = Number(button.closest('li').dataset.listId);
+        try {
+            if (button.dataset.inviteAction === 'accept') {
+                await DatabaseModule.acceptInvite(listId);
+                await loadLists();
+                await switchList(listId);
+                showNotification('Zaproszenie przyjęte', 'success');
+            } else {
+                await DatabaseModule.declineInvite(listId);
+                showNotification('Zaproszenie odrzucone', 'info');
+            }
+            renderSharing();
+        } catch (error) {
+            console.error('Error answering invitation:', error);
+            showNotification('Błąd podczas odpowiadania na zaproszenie: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Let the user know about invitations waiting in the settings panel
+     */
+    const notifyPendingInvites = async () => {
+        try {
+            const invites = await DatabaseModule.getInvites();
+            if (invites.length > 0) {
+                showNotification(`Masz zaproszenia do list (${invites.length}) – zobacz w ustawieniach`, 'info');
+            }
+        } catch (error) {
+            console.error('Error checking invitations:', error);
+        }
+    };
+    
+    /**
+     * Send the open items as text through the system share sheet or the clipboard
+     */
+    const shareList = async () => {
+        const list = lists.find(l => l.id === currentListId);
+        const items = (isEditingMode ? originalList : shoppingList).filter(item => !item.completed);
+        if (items.length === 0) {
+            showNotification('Na liście nie ma nic do kupienia', 'info');
+            return;
+        }
+        
+        const title = list ? list.name : 'Lista zakupów';
+        const text = Exporter.build('text', { name: title, items, order: getCategoryOrder() }).content;
+        
+        if (navigator.share) {
+            try {
+                await navigator.share({ title, text });
+                return;
+            } catch (error) {
+                // The user closed the share sheet
+                if (error.name === 'AbortError') return;
+                console.error('Error sharing list:', error);
+            }
+        }
+        
+        if (await copyToClipboard(text)) {
+            showNotification('Lista skopiowana do schowka', 'success');
+        } else {
+            showNotification('Twoja przeglądarka nie pozwala udostępnić listy', 'warning');
+        }
+    };
+    
+    /**
+     * Copy text to the clipboard, resolving to false when the browser refuses
+     */
+    const copyToClipboard = async (text) => {
+        if (!navigator.clipboard) return false;
+        
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
+            return false;
+        }
+    };
+    
+    /**
+     * Render the read-only public links of the current list
+     */
+    const renderPublicLinks = async (isOwner) => {
+        elements.publicLinkForm.style.display = isOwner ? 'flex' : 'none';
+        elements.publicLinkList.innerHTML = '';
+        if (!currentListId || DatabaseModule.isTempId(currentListId)) return;
+        
+        try {
+            renderPublicLinkList(await DatabaseModule.getPublicLinks(currentListId), isOwner);
+        } catch (error) {
+            console.error('Error loading public links:', error);
+            elements.publicLinkList.innerHTML = '<li class="member-empty">Nie udało się pobrać linków</li>';
+        }
+    };
+    
+    /**
+     * Render public links with their expiry dates
+     */
+    const renderPublicLinkList = (links, isOwner) => {
+        if (links.length === 0) {
+            elements.publicLinkList.innerHTML = '<li class="member-empty">Brak linków publicznych</li>';
+            return;
+        }
+        
+        elements.publicLinkList.innerHTML = links.map(link => `
+            <li data-link-id="${link.id}" data-token="${Utils.escapeHtml(link.token)}">
+                <span class="member-name">
+                    Link publiczny
+                    <small>ważny do ${Utils.formatDate(link.expires_at)}</small>
+                </span>
+                <button type="button" class="btn-secondary" data-link-action="copy">Kopiuj</button>
+                ${isOwner ? '<button type="button" class="btn-danger" data-link-action="revoke" title="Unieważnij link">✖</button>' : ''}
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Create a public link to the current list and copy it right away
+     */
+    const createPublicLink = async () => {
+        try {
+            const links = await DatabaseModule.createPublicLink(currentListId, Number(elements.publicLinkDays.value));
+            renderPublicLinkList(links, true);
+            
+            // Links come newest first
+            const url = DatabaseModule.getPublicLinkUrl(links[0].token);
+            showNotification(await copyToClipboard(url)
+                ? 'Link utworzony i skopiowany do schowka'
+                : 'Link utworzony', 'success');
+        } catch (error) {
+            console.error('Error creating public link:', error);
+            showNotification('Błąd podczas tworzenia linku: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Copy or revoke a public link
+     */
+    const handlePublicLinkClick = async (e) => {
+        const button = e.target.closest('[data-link-action]');
+        if (!button) return;
+        
+        const row = button.closest('li');
+        if (button.dataset.linkAction === 'copy') {
+            const url = DatabaseModule.getPublicLinkUrl(row.dataset.token);
+            if (await copyToClipboard(url)) {
+                showNotification('Link skopiowany do schowka', 'success');
+            } else {
+                prompt('Skopiuj link:', url);
+            }
+            return;
+        }
+        
+        if (!confirm('Czy na pewno chcesz unieważnić ten link? Osoby, które go mają, stracą podgląd listy.')) return;
+        
+        try {
+            renderPublicLinkList(await DatabaseModule.deletePublicLink(currentListId, Number(row.dataset.linkId)), true);
+            showNotification('Link unieważniony', 'success');
+        } catch (error) {
+            console.error('Error revoking public link:', error);
+            showNotification('Błąd podczas unieważniania linku: ' + error.message, 'error');
+        }
+    };
+
+    // ===== TEMPLATES =====
+    
+    /**
+     * Open the templates dialog
+     */
+    const openTemplates = () => {
+        showTemplateOverview();
+        openModal(elements.templateModal);
+        loadTemplates();
+    };
+    
+    /**
+     * Load the user's templates from the server
+     */
+    const loadTemplates = async () => {
+        try {
+            templates = await DatabaseModule.getTemplates();
+            renderTemplateList();
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            elements.templateList.innerHTML = '<li class="member-empty">Nie udało się pobrać szablonów</li>';
+        }
+    };
+    
+    /**
+     * Show the list of templates instead of the editor
+     */
+    const showTemplateOverview = () => {
+        templateDraft = null;
+        elements.templateEditor.style.display = 'none';
+        elements.templateOverview.style.display = 'block';
+        elements.btnTemplateFromList.disabled = shoppingList.length === 0;
+        renderTemplateList();
+    };
+    
+    /**
+     * Render the templates with their products and actions
+     */
+    const renderTemplateList = () => {
+        if (templates.length === 0) {
+            elements.templateList.innerHTML = '<li class="member-empty">Nie masz jeszcze szablonów</li>';
+            return;
+        }
+        
+        const canApply = canEditList() && !isEditingMode;
+        elements.templateList.innerHTML = templates.map(template => `
+            <li data-template-id="${template.id}">
+                <span class="member-name">
+                    ${Utils.escapeHtml(template.name)}
+                    <small>${template.items.map(item => Utils.escapeHtml(item.text)).join(', ')}</small>
+                </span>
+                <button type="button" class="btn-primary" data-template-action="apply" ${canApply ? '' : 'disabled'}>Dodaj do listy</button>
+                <button type="button" class="btn-secondary" data-template-action="edit" title="Edytuj">✎</button>
+                <button type="button" class="btn-danger" data-template-action="delete" title="Usuń szablon">✖</button>
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * A row of the template editor; unchecked rows are left out of the template
+     */
+    const createTemplateRow = (item = {}) => ({
+        text: item.text || '',
+        quantity: item.quantity ?? 1,
+        unit: item.unit || 'szt',
+        category: item.category ?? null,
+        description: item.description || '',
+        originalText: item.text || '',
+        include: item.include ?? true
+    });
+    
+    /**
+     * Show the editor for a new (id null) or an existing template
+     */
+    const showTemplateEditor = (id, rows, name = '') => {
+        templateDraft = { id, rows };
+        elements.templateEditorTitle.textContent = id ? 'Edytuj szablon' : 'Nowy szablon';
+        elements.templateName.value = name;
+        elements.templateOverview.style.display = 'none';
+        elements.templateEditor.style.display = 'block';
+        renderTemplateRows();
+        elements.templateName.focus();
+    };
+    
+    /**
+     * Start a template from the current list; bought products start unchecked
+     */
+    const startTemplateFromList = () => {
+        const rows = sortByPosition(shoppingList).map(item => createTemplateRow({ ...item, include: !item.completed }));
+        showTemplateEditor(null, rows);
+    };
+    
+    /**
+     * Render the editable rows of the template draft
+     */
+    const renderTemplateRows = () => {
+        elements.templateRows.innerHTML = templateDraft.rows.map((row, index) => `
+            <li data-index="${index}">
+                <input type="checkbox" class="template-include" ${row.include ? 'checked' : ''} aria-label="W szablonie">
+                <input type="text" class="template-item-name" value="${Utils.escapeHtml(row.text)}" placeholder="Produkt...">
+                <input type="text" inputmode="decimal" class="template-item-quantity" value="${Units.formatInput(row.quantity)}" aria-label="Ilość">
+                <select class="template-item-unit" aria-label="Jednostka">
+                    ${Units.UNITS.map(unit => `<option value="${unit}" ${row.unit === unit ? 'selected' : ''}>${unit}</option>`).join('')}
+                </select>
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Copy what the user typed in the editor into the draft
+     */
+    const readTemplateRows = () => {
+        elements.templateRows.querySelectorAll('li[data-index]').forEach(li => {
+            const row = templateDraft.rows[Number(li.dataset.index)];
+            row.include = li.querySelector('.template-include').checked;
+            row.text = li.querySelector('.template-item-name').value.trim();
+            row.quantity = Units.parseQuantity(li.querySelector('.template-item-quantity').value);
+            row.unit = li.querySelector('.template-item-unit').value;
+        });
+    };
+    
+    /**
+     * Add an empty row to the template editor
+     */
+    const addTemplateRow = () => {
+        readTemplateRows();
+        templateDraft.rows.push(createTemplateRow());
+        renderTemplateRows();
+        elements.templateRows.querySelector('li:last-child .template-item-name').focus();
+    };
+    
+    /**
+     * Save the template draft on the server
+     */
+    const saveTemplate = async () => {
+        readTemplateRows();
+        const name = elements.templateName.value.trim();
+        if (!name) {
+            showNotification('Podaj nazwę szablonu', 'error');
+            return;
+        }
+        
+        const rows = templateDraft.rows.filter(row => row.include && row.text);
+        if (rows.length === 0) {
+            showNotification('Szablon musi zawierać przynajmniej jeden produkt', 'error');
+            return;
+        }
+        
+        for (const row of rows) {
+            const error = Units.validate(row.quantity, row.unit);
+            if (error) {
+                showNotification(`${row.text}: ${error}`, 'error');
+                return;
+            }
+        }
+        
+        const items = rows.map(row => ({
+            text: row.text,
+            quantity: row.quantity,
+            unit: row.unit,
+            // A renamed product gets a new category suggestion
+            category: row.text === row.originalText ? row.category : Categories.suggest(row.text),
+            description: row.description
+        }));
+        
+        try {
+            templates = templateDraft.id
+                ? await DatabaseModule.updateTemplate(templateDraft.id, { name, items })
+                : await DatabaseModule.createTemplate({ name, items });
+            showTemplateOverview();
+            showNotification(`Szablon „${name}” zapisany`, 'success');
+        } catch (error) {
+            console.error('Error saving template:', error);
+            showNotification('Błąd podczas zapisywania szablonu: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Apply, edit or delete a template
+     */
+    const handleTemplateListClick = async (e) => {
+        const button = e.target.closest('[data-template-action]');
+        if (!button) return;
+        
+        const id = Number(button.closest('li').dataset.templateId);
+        const template = templates.find(t => t.id === id);
+        if (!template) return;
+        
+        if (button.dataset.templateAction === 'apply') {
+            applyTemplate(template);
+        } else if (button.dataset.templateAction === 'edit') {
+            showTemplateEditor(id, template.items.map(createTemplateRow), template.name);
+        } else if (confirm(`Czy na pewno chcesz usunąć szablon „${template.name}”?`)) {
+            try {
+                templates = await DatabaseModule.deleteTemplate(id);
+                renderTemplateList();
+                showNotification('Szablon usunięty', 'success');
+            } catch (error) {
+                console.error('Error deleting template:', error);
+                showNotification('Błąd podczas usuwania szablonu: ' + error.message, 'error');
+            }
+        }
+    };
+    
+    /**
+     * Plan adding products to the list with the duplicate rules of addItem:
+     * a product already on the list gets its quantity increased instead of a second entry
+     */
+    const planItemsAddition = (items) => {
+        const working = shoppingList.map(item => ({ ...item }));
+        const creates = [];
+        const updated = new Map();
+        
+        items.forEach(({ text, quantity, unit, price, category, description, completed }) => {
+            const candidate = { text, quantity, unit, category: category ?? null, description: description || '', completed: Boolean(completed) };
+            if (price !== null && price !== undefined) candidate.price = price;
+            
+            // Bought products are added as they are, only the ones still to buy are merged
+            const duplicate = candidate.completed ? null : Duplicates.findDuplicate(working, candidate);
+            
+            if (!duplicate) {
+                const create = { client_id: DatabaseModule.createTempId(), ...candidate };
+                creates.push(create);
+                working.push(Object.assign(create, { id: create.client_id }));
+                return;
+            }
+            
+            const merged = Duplicates.merge(duplicate, candidate);
+            duplicate.quantity = merged.quantity;
+            duplicate.unit = merged.unit;
+            if (!creates.includes(duplicate)) {
+                updated.set(duplicate.id, duplicate);
+            }
+        });
+        
+        // New products keep their order on top of the list
+        const positions = shoppingList.map(item => item.position).filter(Number.isFinite);
+        const top = positions.length > 0 ? Math.min(...positions) : 0;
+        creates.forEach((create, index) => {
+            create.position = top - creates.length + index;
+        });
+        
+        return { creates: creates.map(({ id, ...create }) => create), updates: [...updated.values()] };
+    };
+    
+    /**
+     * Add several products (of a template, a past trip or an import) to the current list in one batch
+     * Returns true when they were added
+     */
+    const addItemsToList = async (items, label) => {
+        if (!canEditList() || isEditingMode) return false;
+        
+        const { creates, updates } = planItemsAddition(items);
+        const question = `Dodać ${label} do listy? ` +
+            `Nowe produkty: ${creates.length}, zwiększone ilości: ${updates.length}.`;
+        if (!confirm(question)) return false;
+        
+        try {
+            const result = await DatabaseModule.saveListChanges({
+                creates,
+                updates: updates.map(item => {
+                    const change = { id: item.id, quantity: item.quantity, unit: item.unit };
+                    if (!DatabaseModule.isTempId(item.id) && item.updated_at !== undefined) {
+                        change.base_updated_at = item.updated_at;
+                    }
+                    return change;
+                }),
+                deletes: []
+            });
+            
+            if (result.items) {
+                shoppingList = result.items;
+            } else {
+                // Queued offline: show the changes until the queue is replayed
+                updates.forEach(change => {
+                    const item = shoppingList.find(i => i.id === change.id);
+                    if (item) Object.assign(item, { quantity: change.quantity, unit: change.unit, pending: true });
+                });
+                shoppingList.push(...creates.map(({ client_id, ...fields }) => ({ ...fields, id: client_id, pending: true })));
+                updateNetworkStatus();
+            }
+            
+            renderShoppingList();
+            showNotification(`Dodano ${label}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error adding items:', error);
+            if (error.status === 409) {
+                showNotification('Lista zmieniła się na innym urządzeniu – spróbuj ponownie', 'warning');
+                loadShoppingList();
+            } else {
+                showNotification('Błąd podczas dodawania produktów: ' + error.message, 'error');
+            }
+            return false;
+        }
+    };
+    
+    /**
+     * Add all products of a template to the current list
+     */
+    const applyTemplate = async (template) => {
+        if (await addItemsToList(template.items, `szablon „${template.name}”`)) {
+            closeModal(elements.templateModal);
+        }
+    };
+
+    // ===== SHOPPING HISTORY =====
+    
+    /**
+     * Open the dialog with finished shopping trips
+     */
+    const openHistory = () => {
+        elements.tripList.innerHTML = '<li class="member-empty">Wczytywanie...</li>';
+        openModal(elements.historyModal);
+        loadTrips();
+    };
+    
+    /**
+     * Load the finished trips of the current list
+     */
+    const loadTrips = async () => {
+        try {
+            trips = await DatabaseModule.getTrips();
+            renderTripList();
+        } catch (error) {
+            console.error('Error loading trips:', error);
+            elements.tripList.innerHTML = '<li class="member-empty">Nie udało się pobrać historii zakupów</li>';
+        }
+    };
+    
+    /**
+     * Render the trips with their products; each product or whole trip can go back on the list
+     */
+    const renderTripList = () => {
+        if (trips.length === 0) {
+            elements.tripList.innerHTML = '<li class="member-empty">Brak zakończonych zakupów</li>';
+            return;
+        }
+        
+        const disabled = canEditList() && !isEditingMode ? '' : 'disabled';
+        elements.tripList.innerHTML = trips.map(trip => `
+            <li data-trip-id="${trip.id}">
+                <span class="member-name">
+                    ${Utils.formatDate(trip.finished_at)}
+                    <small>${Utils.escapeHtml(trip.finished_by)} · ${trip.items.length} produktów</small>
+                </span>
+                <button type="button" class="btn-primary" data-trip-action="add-all" ${disabled}>Dodaj wszystko</button>
+                <ul class="trip-items">
+                    ${trip.items.map((item, index) => `
+                        <li data-item-index="${index}">
+                            <span class="member-name">
+                                ${Utils.escapeHtml(item.text)}
+                                <small>${Units.format(item.quantity, item.unit)}</small>
+                            </span>
+                            <button type="button" class="btn-secondary" data-trip-action="add-item" title="Dodaj do listy" ${disabled}>+</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Put a past product or a whole trip back on the current list
+     */
+    const handleTripListClick = (e) => {
+        const button = e.target.closest('[data-trip-action]');
+        if (!button) return;
+        
+        const tripId = Number(button.closest('[data-trip-id]').dataset.tripId);
+        const trip = trips.find(t => t.id === tripId);
+        if (!trip) return;
+        
+        if (button.dataset.tripAction === 'add-all') {
+            addItemsToList(trip.items, `zakupy z ${Utils.formatDate(trip.finished_at)}`);
+        } else {
+            const item = trip.items[Number(button.closest('[data-item-index]').dataset.itemIndex)];
+            if (item) addItemsToList([item], `„${item.text}”`);
+        }
+    };
+    
+    // ===== STATISTICS =====
+    
+    /**
+     * Open the statistics dialog
+     */
+    const openStatistics = () => {
+        elements.statsSummary.textContent = 'Wczytywanie...';
+        elements.statsContent.style.display = 'none';
+        openModal(elements.statsModal);
+        loadStatistics();
+    };
+    
+    /**
+     * Load the purchases of the list; checked items not archived yet count as well
+     */
+    const loadStatistics = async () => {
+        try {
+            const archived = await DatabaseModule.getPurchases();
+            purchases = archived.concat(shoppingList.filter(item => item.completed && item.completed_at));
+            renderStatistics();
+        } catch (error) {
+            console.error('Error loading statistics:', error);
+            elements.statsSummary.textContent = 'Nie udało się pobrać historii zakupów';
+        }
+    };
+    
+    /**
+     * Horizontal bar chart of [{ label, value }]
+     */
+    const renderBarChart = (entries) => {
+        const max = Math.max(1, ...entries.map(entry => entry.value));
+        return entries.map(entry => `
+            <li>
+                <span class="bar-label">${Utils.escapeHtml(entry.label)}</span>
+                <span class="bar-track"><span class="bar" style="width: ${entry.value / max * 100}%"></span></span>
+                <span class="bar-value">${entry.value}</span>
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Render the summary and the charts of the loaded purchases
+     */
+    const renderStatistics = () => {
+        if (purchases.length === 0) {
+            elements.statsSummary.textContent = 'Brak danych – statystyki pojawią się po pierwszych zakończonych zakupach.';
+            elements.statsContent.style.display = 'none';
+            return;
+        }
+        
+        const wait = Statistics.averageWait(purchases);
+        elements.statsSummary.textContent = `Kupione produkty: ${purchases.length}` +
+            (wait !== null ? ` · średnio od dodania do kupienia: ${Statistics.formatDuration(wait)}` : '');
+        
+        elements.statsTop.innerHTML = renderBarChart(
+            Statistics.topProducts(purchases).map(({ label, count }) => ({ label, value: count })));
+        elements.statsWeekdays.innerHTML = renderBarChart(
+            Statistics.byWeekday(purchases).map(({ day, count }) => ({ label: WEEKDAY_LABELS[day], value: count })));
+        renderTrend();
+        elements.statsContent.style.display = 'block';
+    };
+    
+    /**
+     * Column chart of purchases per week or month
+     */
+    const renderTrend = () => {
+        const period = elements.statsPeriod.value;
+        const buckets = Statistics.trend(purchases, period, TREND_LENGTH[period]);
+        const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+        
+        elements.statsTrend.innerHTML = buckets.map(bucket => `
+            <div class="column" title="${Utils.escapeHtml(bucket.label)}: ${bucket.count}">
+                <span class="column-value">${bucket.count || ''}</span>
+                <span class="column-track"><span class="column-bar" style="height: ${bucket.count / max * 100}%"></span></span>
+                <span class="column-label">${Utils.escapeHtml(bucket.label)}</span>
+            </div>
+        `).join('');
+    };
+    
+    // ===== PRICES AND BUDGET =====
+    
+    /**
+     * Budget of the current list (null when it has none)
+     */
+    const getBudget = () => {
+        const list = lists.find(l => l.id === currentListId);
+        return list && list.budget !== undefined ? list.budget : null;
+    };
+    
+    /**
+     * Show the running total of the list under the items and compare it with the budget
+     */
+    const renderListTotal = () => {
+        const sum = (items) => items.reduce((total, item) => total + Units.cost(item.quantity, item.unit, item.price), 0);
+        const priced = shoppingList.filter(item => item.price !== null && item.price !== undefined);
+        const unpricedCount = shoppingList.length - priced.length;
+        const budget = getBudget();
+        
+        if (priced.length === 0 && budget === null) {
+            elements.listTotal.style.display = 'none';
+            return;
+        }
+        
+        const open = sum(priced.filter(item => !item.completed));
+        const bought = sum(priced.filter(item => item.completed));
+        const total = open + bought;
+        const exceeded = budget !== null && total > budget;
+        
+        let budgetText = '';
+        if (budget !== null) {
+            budgetText = exceeded
+                ? `Budżet ${Utils.formatMoney(budget)} przekroczony o ${Utils.formatMoney(total - budget)}`
+                : `Budżet ${Utils.formatMoney(budget)}, zostaje ${Utils.formatMoney(budget - total)}`;
+        }
+        
+        elements.listTotal.style.display = 'block';
+        elements.listTotal.classList.toggle('over-budget', exceeded);
+        elements.listTotal.innerHTML = `
+            <div class="total-amounts">
+                <span>Do kupienia: <strong>${Utils.formatMoney(open)}</strong></span>
+                <span>W koszyku: <strong>${Utils.formatMoney(bought)}</strong></span>
+                <span>Razem: <strong>${Utils.formatMoney(total)}</strong></span>
+            </div>
+            ${unpricedCount > 0 ? `<small>Bez ceny: ${unpricedCount}</small>` : ''}
+            ${budgetText ? `<div class="total-budget">${budgetText}</div>` : ''}
+        `;
+        
+        // A freshly opened list only sets the state, the warning is for changes made while shopping
+        if (budgetWarning.listId === currentListId && exceeded && !budgetWarning.exceeded) {
+            showNotification(`Przekroczono budżet listy o ${Utils.formatMoney(total - budget)}`, 'warning');
+        }
+        budgetWarning = { listId: currentListId, exceeded };
+    };
+    
+    /**
+     * Show the budget of the current list in the settings; only the owner may change it
+     */
+    const renderBudget = () => {
+        const isOwner = getCurrentRole() === 'owner';
+        elements.listBudget.value = Utils.formatAmountInput(getBudget());
+        elements.listBudget.disabled = !isOwner;
+        elements.btnSaveBudget.disabled = !isOwner;
+    };
+    
+    /**
+     * Save the budget of the current list, an empty field removes it
+     */
+    const saveBudget = async () => {
+        const budget = Utils.parseAmount(elements.listBudget.value);
+        if (Number.isNaN(budget)) {
+            showNotification('Budżet musi być kwotą, np. 250 lub 199,99', 'error');
+            return;
+        }
+        
+        try {
+            storeList(await DatabaseModule.updateList(currentListId, { budget }));
+            renderBudget();
+            renderListTotal();
+            showNotification(budget === null ? 'Budżet usunięty' : `Budżet ustawiony na ${Utils.formatMoney(budget)}`, 'success');
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            showNotification('Błąd podczas zapisywania budżetu: ' + error.message, 'error');
+        }
+    };
+    
+    // ===== EXPORT =====
+    
+    /**
+     * Build the export of the current list in the chosen format, with the purchase history if asked for
+     */
+    const buildExport = async () => {
+        const list = lists.find(l => l.id === currentListId);
+        const trips = elements.exportHistory.checked ? await DatabaseModule.getTrips() : null;
+        
+        return Exporter.build(elements.exportFormat.value, {
+            name: list ? list.name : 'Lista zakupów',
+            budget: getBudget(),
+            // Unsaved edits are not part of the list yet
+            items: sortByPosition(isEditingMode ? originalList : shoppingList),
+            trips,
+            order: getCategoryOrder()
+        });
+    };
+    
+    /**
+     * File name of an export: list name and date, e.g. "zakupy-na-weekend-2024-05-10.csv"
+     */
+    const exportFileName = (extension) => {
+        const list = lists.find(l => l.id === currentListId);
+        const slug = Utils.foldText(list ? list.name : 'lista')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') || 'lista';
+        return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    };
+    
+    /**
+     * Save the export as a file
+     */
+    const downloadExport = async () => {
+        try {
+            const { content, extension, mime, bom } = await buildExport();
+            // The byte order mark makes spreadsheets read the CSV as UTF-8
+            const blob = new Blob([bom ? '\uFEFF' + content : content], { type: `${mime};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = exportFileName(extension);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            showNotification('Plik zapisany', 'success');
+        } catch (error) {
+            console.error('Error exporting list:', error);
+            showNotification('Błąd podczas eksportu: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Copy the export to the clipboard
+     */
+    const copyExport = async () => {
+        let content;
+        try {
+            ({ content } = await buildExport());
+        } catch (error) {
+            console.error('Error building export:', error);
+            showNotification('Błąd podczas przygotowania eksportu: ' + error.message, 'error');
+            return;
+        }
+        
+        if (await copyToClipboard(content)) {
+            showNotification('Skopiowano do schowka', 'success');
+        } else {
+            showNotification('Ta przeglądarka nie pozwala na kopiowanie do schowka – pobierz plik', 'warning');
+        }
+    };
+    
+    // ===== IMPORT =====
+    
+    const IMPORT_EXTENSIONS = { csv: 'csv', json: 'json' }; // Other files are read as text
+    
+    /**
+     * Open the import dialog with an empty form
+     */
+    const openImport = () => {
+        elements.importText.value = '';
+        elements.importFile.value = '';
+        importCsv = null;
+        previewImport(true);
+        openModal(elements.importModal);
+        elements.importText.focus();
+    };
+    
+    /**
+     * Put a chosen file into the text field, its extension picks the format
+     */
+    const handleImportFile = async () => {
+        const file = elements.importFile.files[0];
+        if (!file) return;
+        
+        try {
+            const extension = file.name.split('.').pop().toLowerCase();
+            elements.importFormat.value = IMPORT_EXTENSIONS[extension] || 'text';
+            elements.importText.value = (await file.text()).replace(/^\uFEFF/, '');
+            previewImport(true);
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            showNotification('Nie udało się odczytać pliku: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Parse the pasted or loaded data and validate every row
+     * `reset` guesses the CSV columns again (new data), a mapping change keeps them
+     */
+    const previewImport = (reset = false) => {
+        const format = elements.importFormat.value;
+        const input = elements.importText.value;
+        let rawItems = [];
+        let error = null;
+        
+        if (format === 'csv') {
+            if (reset || !importCsv) {
+                const rows = Importer.parseCsv(input);
+                const hasHeader = rows.length > 0 && Importer.isHeader(rows[0]);
+                importCsv = { rows, hasHeader, mapping: rows.length > 0 ? Importer.guessMapping(hasHeader ? rows[0] : []) : {} };
+            }
+            rawItems = Importer.applyMapping(importCsv.hasHeader ? importCsv.rows.slice(1) : importCsv.rows, importCsv.mapping);
+        } else if (format === 'json') {
+            try {
+                rawItems = input.trim() ? Importer.parseJson(input) : [];
+            } catch (e) {
+                error = e.message;
+            }
+        } else {
+            rawItems = Importer.parseText(input);
+        }
+        
+        importRows = rawItems.map(Importer.validateRow);
+        renderImportMapping(format === 'csv' && importCsv.rows.length > 0);
+        renderImportPreview(error);
+    };
+    
+    /**
+     * Column choices of a CSV: one select per item field
+     */
+    const renderImportMapping = (visible) => {
+        elements.importMapping.style.display = visible ? 'block' : 'none';
+        if (!visible) {
+            elements.importMapping.innerHTML = '';
+            return;
+        }
+        
+        const { rows, hasHeader, mapping } = importCsv;
+        const columnCount = Math.max(...rows.map(fields => fields.length));
+        const columns = Array.from({ length: columnCount }, (_, index) => {
+            const name = hasHeader && rows[0][index] ? rows[0][index] : `Kolumna ${index + 1}`;
+            const sample = rows[hasHeader ? 1 : 0]?.[index];
+            return sample ? `${name} (np. ${sample})` : name;
         });
         
-        // Debounced refresh
-        elements.btnRefresh.addEventListener('click', Utils.debounce(refreshList, 300));
+        elements.importMapping.innerHTML = `
+            <div class="remember-me">
+                <input type="checkbox" id="import-has-header" ${hasHeader ? 'checked' : ''}>
+                <label for="import-has-header">Pierwszy wiersz to nagłówki</label>
+            </div>
+            <div class="import-mapping-fields">
+                ${Importer.FIELDS.map(field => `
+                    <label>
+                        ${field.name}
+                        <select data-field="${field.id}">
+                            <option value="">— pomiń —</option>
+                            ${columns.map((column, index) => `
+                                <option value="${index}" ${mapping[field.id] === index ? 'selected' : ''}>${Utils.escapeHtml(column)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    };
+    
+    /**
+     * Apply a changed CSV column choice or header setting
+     */
+    const handleImportMappingChange = (e) => {
+        if (!importCsv) return;
         
-        // Password strength indicator
-        elements.registerPassword.addEventListener('input', 
-            Utils.debounce(updatePasswordStrength, 300));
+        if (e.target.id === 'import-has-header') {
+            importCsv.hasHeader = e.target.checked;
+        } else if (e.target.dataset.field) {
+            importCsv.mapping[e.target.dataset.field] = e.target.value === '' ? null : Number(e.target.value);
+        }
+        previewImport();
+    };
+    
+    /**
+     * Table of the products to import; rows with errors are shown but not added
+     */
+    const renderImportPreview = (error) => {
+        const valid = importRows.filter(row => row.errors.length === 0);
+        const invalidCount = importRows.length - valid.length;
         
-        // Settings panel
-        elements.btnSettings.addEventListener('click', openSettings);
-        elements.settingsClose.addEventListener('click', closeSettings);
-        elements.overlay.addEventListener('click', closeSettings);
+        if (error) {
+            elements.importSummary.textContent = error;
+        } else if (importRows.length === 0) {
+            elements.importSummary.textContent = 'Wklej produkty lub wybierz plik, aby zobaczyć podgląd.';
+        } else {
+            elements.importSummary.textContent = `Do dodania: ${valid.length}` +
+                (invalidCount > 0 ? `, z błędami: ${invalidCount} (zostaną pominięte)` : '');
+        }
         
-        // Theme selection
-        elements.themeSelect.addEventListener('change', changeTheme);
+        elements.importPreview.innerHTML = importRows.length === 0 ? '' : `
+            <thead>
+                <tr><th>Nazwa</th><th>Ilość</th><th>Cena</th><th>Kategoria</th><th>Uwagi</th></tr>
+            </thead>
+            <tbody>
+                ${importRows.map(({ item, errors }) => `
+                    <tr class="${errors.length > 0 ? 'import-error' : ''}">
+                        <td>${Utils.escapeHtml(item.text)}${item.description ? `<small>${Utils.escapeHtml(item.description)}</small>` : ''}</td>
+                        <td>${Number.isFinite(item.quantity) ? Units.formatNumber(item.quantity) : '?'} ${Utils.escapeHtml(item.unit)}</td>
+                        <td>${item.price !== null ? Utils.formatMoney(item.price) : ''}</td>
+                        <td>${item.category ? Utils.escapeHtml(Categories.getName(item.category)) : ''}</td>
+                        <td>${errors.map(Utils.escapeHtml).join('<br>') || (item.completed ? 'kupione' : '✓')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        elements.btnImportAdd.disabled = valid.length === 0 || !canEditList() || isEditingMode;
+    };
+    
+    /**
+     * Add the valid rows of the preview to the current list
+     */
+    const addImportedItems = async () => {
+        const items = importRows.filter(row => row.errors.length === 0).map(row => row.item);
+        if (items.length === 0) return;
         
-        // List management buttons
-        elements.btnClearList.addEventListener('click', clearList);
-        elements.btnRemoveChecked.addEventListener('click', removeCheckedItems);
-        elements.btnEditList.addEventListener('click', startListEditing);
+        if (await addItemsToList(items, `produkty z importu (${items.length})`)) {
+            closeModal(elements.importModal);
+        }
+    };
+    
+    // ===== SHOP MODE =====
+    
+    let shopModeActive = false;
+    let wakeLock = null;
+    
+    /**
+     * Open the full-screen view for walking through the store
+     */
+    const openShopMode = async () => {
+        if (isEditingMode || !currentListId) return;
         
-        // Edit mode buttons
-        elements.btnSaveChanges.addEventListener('click', saveListChanges);
-        elements.btnCancelEdit.addEventListener('click', cancelListEditing);
+        shopModeActive = true;
+        renderShopMode();
+        elements.shopMode.style.display = 'flex';
+        document.body.classList.add('shop-mode-open');
+        
+        // Fullscreen the whole page so notifications and dialogs stay visible
+        if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.warn('Fullscreen not available:', error);
+            });
+        }
+        await requestWakeLock();
     };
-
-    // ===== SESSION MANAGEMENT =====
     
     /**
-     * Check if there's a saved valid session
+     * Leave the shop mode and let the screen sleep again
      */
-    const checkSavedSession = async () => {
-        const savedUser = SessionManager.getUser();
-        const isSessionValid = SessionManager.isSessionValid();
-        const rememberMe = SessionManager.getRememberMe();
+    const closeShopMode = () => {
+        if (!shopModeActive) return;
         
-        // Pre-fill remember me checkbox
-        if (elements.rememberMe) {
-            elements.rememberMe.checked = rememberMe;
+        shopModeActive = false;
+        elements.shopMode.style.display = 'none';
+        document.body.classList.remove('shop-mode-open');
+        
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(error => {
+                console.warn('Error leaving fullscreen:', error);
+            });
         }
+        releaseWakeLock();
+    };
+    
+    /**
+     * Keep the screen on while shopping (the browser drops the lock whenever the page is hidden)
+     */
+    const requestWakeLock = async () => {
+        if (!('wakeLock' in navigator) || wakeLock) return;
         
-        if (savedUser && isSessionValid) {
-            try {
-                // Verify session with server by attempting to load the shopping list
-                currentUser = savedUser;
-                updateUIAfterLogin();
-                
-                // Try to load shopping list to verify session is still valid on server
-                await loadShoppingList();
-                showNotification('Automatyczne logowanie powiodło się', 'success');
-            } catch (error) {
-                // Session invalid on server
-                SessionManager.clearSession();
-                currentUser = null;
-                updateUIAfterLogout();
-                showNotification('Sesja wygasła. Zaloguj się ponownie.', 'info');
-                
-                // Pre-fill username if available
-                if (savedUser && savedUser.username) {
-                    elements.loginUsername.value = savedUser.username;
-                }
-            }
-        } else if (savedUser && !isSessionValid) {
-            // Session expired
-            SessionManager.clearSession();
-            showNotification('Sesja wygasła. Zaloguj się ponownie.', 'info');
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            lock.addEventListener('release', () => {
+                if (wakeLock === lock) wakeLock = null;
+                updateWakeLockStatus();
+            });
+            wakeLock = lock;
             
-            // Pre-fill username
-            if (savedUser.username) {
-                elements.loginUsername.value = savedUser.username;
-            }
+            // Shop mode was closed while the lock was being granted
+            if (!shopModeActive) releaseWakeLock();
+        } catch (error) {
+            // Refused e.g. in battery saver mode; shop mode works without it
+            console.warn('Wake lock not available:', error);
         }
+        updateWakeLockStatus();
     };
     
     /**
-     * Save user session if "remember me" is checked
+     * Give the screen wake lock back
      */
-    const saveUserSession = (userData) => {
-        const rememberMe = elements.rememberMe && elements.rememberMe.checked;
-        SessionManager.saveSession(userData, rememberMe);
+    const releaseWakeLock = async () => {
+        if (!wakeLock) return;
+        
+        const lock = wakeLock;
+        wakeLock = null;
+        updateWakeLockStatus();
+        try {
+            await lock.release();
+        } catch (error) {
+            console.warn('Error releasing wake lock:', error);
+        }
     };
-
-    // ===== EVENT HANDLERS =====
     
     /**
-     * Handle item click event with event delegation
+     * Show whether the screen is being kept on
      */
-    const handleItemClick = (e) => {
-        // Don't handle clicks in edit mode
-        if (isEditingMode) return;
+    const updateWakeLockStatus = () => {
+        elements.shopWakeLock.style.display = wakeLock ? 'inline' : 'none';
+    };
+    
+    /**
+     * Take the wake lock again when the user comes back to the tab
+     */
+    const handleShopVisibilityChange = () => {
+        if (shopModeActive && document.visibilityState === 'visible') {
+            requestWakeLock();
+        }
+    };
+    
+    /**
+     * Render a large tappable row of the shop mode
+     */
+    const renderShopItem = (item, editable) => `
+        <li class="shop-item${item.completed ? ' bought' : ''}" data-id="${item.id}">
+            <button type="button" class="shop-item-button" aria-pressed="${!!item.completed}" ${editable ? '' : 'disabled'}>
+                <span class="shop-check" aria-hidden="true"></span>
+                <span class="shop-item-name">
+                    ${Utils.escapeHtml(item.text)}
+                    ${item.description ? `<small>${Utils.escapeHtml(item.description)}</small>` : ''}
+                </span>
+                <span class="shop-item-quantity">${Units.format(item.quantity, item.unit)}</span>
+            </button>
+        </li>
+    `;
+    
+    /**
+     * Render the open items by category with the bought ones gathered at the bottom
+     */
+    const renderShopMode = () => {
+        const list = lists.find(l => l.id === currentListId);
+        const editable = canEditList();
+        const open = sortByPosition(shoppingList.filter(item => !item.completed));
         
-        const listItem = e.target.closest('li');
-        if (!listItem || listItem.classList.contains('empty-list')) return;
+        // Most recently bought last, so a checked item always lands at the very bottom
+        const bought = shoppingList.filter(item => item.completed).sort((a, b) =>
+            String(a.completed_at || '').localeCompare(String(b.completed_at || ''))
+        );
         
-        // Check if checkbox was clicked
-        if (e.target.classList.contains('item-checkbox')) {
-            const id = parseInt(listItem.dataset.id);
-            toggleItem(id);
+        elements.shopListName.textContent = list ? list.name : 'Lista zakupów';
+        elements.shopProgress.textContent = `Kupione: ${bought.length} z ${shoppingList.length}`;
+        
+        const sections = Categories.group(open, getCategoryOrder());
+        if (bought.length > 0) {
+            sections.push({ id: 'bought', name: 'W koszyku', items: bought });
         }
         
-        // Check if delete button was clicked (for individual items)
-        if (e.target.classList.contains('item-delete')) {
-            const id = parseInt(listItem.dataset.id);
-            deleteItem(id);
+        let html = '';
+        if (shoppingList.length === 0) {
+            html = '<li class="shop-empty">Lista zakupów jest pusta</li>';
+        } else if (open.length === 0) {
+            html = '<li class="shop-empty">Wszystko kupione 🎉</li>';
         }
+        
+        elements.shopItems.innerHTML = html + sections.map(section => `
+            <li class="shop-category">${Utils.escapeHtml(section.name)}</li>
+            ${section.items.map(item => renderShopItem(item, editable)).join('')}
+        `).join('');
     };
-
-    // ===== UI MANAGEMENT =====
     
     /**
-     * Update UI after successful login
+     * Remember where each row of the shop mode is before the list changes
      */
-    const updateUIAfterLogin = () => {
-        elements.currentUserSpan.textContent = currentUser.username;
-        elements.authSection.style.display = 'none';
-        elements.appSection.style.display = 'block';
-        elements.btnSettings.style.display = 'block';
+    const captureShopPositions = () => {
+        const positions = new Map();
+        elements.shopItems.querySelectorAll('.shop-item').forEach(row => {
+            positions.set(row.dataset.id, row.getBoundingClientRect().top);
+        });
+        return positions;
+    };
+    
+    /**
+     * Slide the rows from their previous places to the new ones
+     */
+    const animateShopItems = (positions) => {
+        if (!Element.prototype.animate || window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
         
-        // Clear form fields
-        elements.loginUsername.value = '';
-        elements.loginPassword.value = '';
+        elements.shopItems.querySelectorAll('.shop-item').forEach(row => {
+            const before = positions.get(row.dataset.id);
+            if (before === undefined) return;
+            
+            const offset = before - row.getBoundingClientRect().top;
+            if (offset === 0) return;
+            
+            row.animate([
+                { transform: `translateY(${offset}px)` },
+                { transform: 'translateY(0)' }
+            ], { duration: SHOP_MOVE_DURATION, easing: 'ease-in-out' });
+        });
     };
     
     /**
-     * Update UI after logout
+     * Check or uncheck the tapped item and move it to its new place
      */
-    const updateUIAfterLogout = () => {
-        currentUser = null;
-        closeSettings();
+    const handleShopItemClick = async (e) => {
+        const row = e.target.closest('.shop-item');
+        if (!row || row.classList.contains('shop-item-busy') || !canEditList()) return;
         
-        elements.currentUserSpan.textContent = 'Nie zalogowano';
-        elements.authSection.style.display = 'block';
-        elements.appSection.style.display = 'none';
-        elements.btnSettings.style.display = 'none';
+        row.classList.add('shop-item-busy');
+        const positions = captureShopPositions();
+        await toggleItem(parseInt(row.dataset.id));
         
-        // Clear shopping list
-        shoppingList = [];
-        renderShoppingList();
+        // The row stays in place when saving failed
+        row.classList.remove('shop-item-busy');
+        animateShopItems(positions);
+    };
+    
+    /**
+     * Print the list in the category layout of the shop mode
+     */
+    const printList = () => {
+        closeSettings();
+        window.print();
+    };
+    
+    /**
+     * Render the printable list before the browser lays out the pages
+     */
+    const handleBeforePrint = () => {
+        if (!currentUser || !currentListId) return;
+        
+        renderShopMode();
+        document.body.classList.add('print-list');
+    };
+    
+    /**
+     * Restore the screen layout after printing
+     */
+    const handleAfterPrint = () => {
+        document.body.classList.remove('print-list');
     };
 
-    // ===== SETTINGS FUNCTIONS =====
+    // ===== STAPLES =====
     
     /**
-     * Open settings panel
+     * Load the staples of the current list; due ones were already put back by the server
      */
-    const openSettings = () => {
-        elements.settingsPanel.classList.add('open');
-        elements.overlay.style.display = 'block';
-        document.body.style.overflow = 'hidden';
+    const loadStaples = async () => {
+        const listId = currentListId;
+        try {
+            const loaded = await DatabaseModule.getStaples();
+            if (listId !== currentListId) return;
+            
+            staples = loaded;
+            renderShoppingList();
+            renderStaples();
+        } catch (error) {
+            console.error('Error loading staples:', error);
+        }
     };
     
     /**
-     * Close settings panel
+     * Check whether an item is one of the list's staples
      */
-    const closeSettings = () => {
-        elements.settingsPanel.classList.remove('open');
-        elements.overlay.style.display = 'none';
-        document.body.style.overflow = 'auto';
+    const isStaple = (item) => {
+        const name = String(item.text).trim().toLowerCase();
+        return staples.some(staple => staple.text.toLowerCase() === name);
     };
     
     /**
-     * Change theme based on user selection
+     * Describe when a staple comes back, e.g. "co 7 dni" or "pn, czw"
      */
-    const changeTheme = () => {
-        const theme = elements.themeSelect.value;
+    const describeStapleRule = (staple) => {
+        if (staple.interval_days === 1) return 'codziennie';
+        if (staple.interval_days === 7) return 'co tydzień';
+        if (staple.interval_days) return `co ${staple.interval_days} dni`;
+        return (staple.weekdays || []).map(day => WEEKDAY_LABELS[day]).join(', ');
+    };
+    
+    /**
+     * Render the staples of the current list with their next due date
+     */
+    const renderStaples = () => {
+        const canEdit = canEditList();
+        elements.stapleForm.style.display = canEdit ? 'block' : 'none';
+        updateStapleRuleFields();
         
-        // Remove all theme classes
-        document.body.classList.remove('modern-theme', 'darkmodern-theme');
+        // Products of the list are offered as staple names
+        const names = [...new Set(shoppingList.map(item => item.text))];
+        elements.stapleNameOptions.innerHTML = names
+            .map(name => `<option value="${Utils.escapeHtml(name)}"></option>`)
+            .join('');
         
-        // Add selected theme class
-        if (theme === 'modern') {
-            document.body.classList.add('modern-theme');
-        } else if (theme === 'darkmodern') {
-            document.body.classList.add('darkmodern-theme');
+        if (staples.length === 0) {
+            elements.stapleList.innerHTML = '<li class="member-empty">Brak stałych produktów</li>';
+            return;
         }
         
-        // Save theme preference
-        localStorage.setItem('theme', theme);
-        showNotification('Motyw zmieniony', 'success');
+        elements.stapleList.innerHTML = staples.map(staple => `
+            <li data-staple-id="${staple.id}">
+                <span class="member-name">
+                    ${Utils.escapeHtml(staple.text)} · ${Units.format(staple.quantity, staple.unit)}
+                    <small>${describeStapleRule(staple)} · następnie ${Utils.formatDate(staple.next_due_at)}</small>
+                </span>
+                ${canEdit ? '<button type="button" class="btn-danger" data-staple-action="delete" title="Przestań powtarzać">✖</button>' : ''}
+            </li>
+        `).join('');
     };
     
     /**
-     * Load user's theme preference from localStorage
+     * Show the interval or the weekday fields of the recurrence rule
      */
-    const loadThemePreference = () => {
-        const savedTheme = localStorage.getItem('theme') || 'notes';
-        elements.themeSelect.value = savedTheme;
-        
-        // Apply saved theme
-        if (savedTheme === 'modern') {
-            document.body.classList.add('modern-theme');
-        } else if (savedTheme === 'darkmodern') {
-            document.body.classList.add('darkmodern-theme');
-        }
+    const updateStapleRuleFields = () => {
+        const weekly = elements.stapleRule.value === 'weekly';
+        elements.stapleInterval.style.display = weekly ? 'none' : '';
+        elements.stapleWeekdays.style.display = weekly ? 'flex' : 'none';
     };
-
-    // ===== LIST MANAGEMENT =====
     
     /**
-     * Clear entire shopping list with confirmation
+     * Mark a product as a staple; quantity and category come from the list or the typed text
      */
-    const clearList = async () => {
-        if (!confirm('Czy na pewno chcesz wyczyścić całą listę? Tej operacji nie można cofnąć.')) {
+    const addStaple = async () => {
+        if (!canEditList()) return;
+        
+        const entry = QuickAdd.parseEntry(elements.stapleName.value);
+        if (!entry) {
+            showNotification('Podaj nazwę produktu', 'error');
             return;
         }
         
+        const listItem = shoppingList.find(item => item.text.trim().toLowerCase() === entry.text.toLowerCase());
+        const staple = listItem
+            ? pickEditableFields(listItem)
+            : { text: entry.text, quantity: entry.quantity, unit: entry.unit, category: Categories.suggest(entry.text) };
+        delete staple.completed;
+        delete staple.position;
+        
+        if (elements.stapleRule.value === 'weekly') {
+            staple.weekdays = [...elements.stapleWeekdays.querySelectorAll('input:checked')].map(input => Number(input.value));
+            if (staple.weekdays.length === 0) {
+                showNotification('Wybierz przynajmniej jeden dzień tygodnia', 'error');
+                return;
+            }
+        } else {
+            staple.interval_days = Number(elements.stapleInterval.value);
+            if (!Number.isInteger(staple.interval_days) || staple.interval_days < 1 || staple.interval_days > 365) {
+                showNotification('Podaj liczbę dni od 1 do 365', 'error');
+                return;
+            }
+        }
+        
         try {
-            await DatabaseModule.clearList();
-            shoppingList = [];
+            staples = await DatabaseModule.createStaple(staple);
+            elements.stapleName.value = '';
+            renderStaples();
             renderShoppingList();
-            showNotification('Lista wyczyszczona', 'success');
-            closeSettings();
+            showNotification(`„${staple.text}” będzie wracać na listę ${describeStapleRule(staple)}`, 'success');
         } catch (error) {
-            console.error('Error clearing list:', error);
-            showNotification('Błąd podczas czyszczenia listy: ' + error.message, 'error');
+            console.error('Error adding staple:', error);
+            showNotification(error.status === 409
+                ? 'Ten produkt jest już stałym produktem tej listy'
+                : 'Błąd podczas dodawania stałego produktu: ' + error.message, 'error');
+        }
+    };
+    
+    /**
+     * Stop repeating a staple (the product stays on the list)
+     */
+    const handleStapleListClick = async (e) => {
+        const button = e.target.closest('[data-staple-action="delete"]');
+        if (!button || !canEditList()) return;
+        
+        const id = Number(button.closest('li').dataset.stapleId);
+        try {
+            staples = await DatabaseModule.deleteStaple(id);
+            renderStaples();
+            renderShoppingList();
+            showNotification('Produkt nie będzie już wracać na listę', 'success');
+        } catch (error) {
+            console.error('Error deleting staple:', error);
+            showNotification('Błąd podczas usuwania stałego produktu: ' + error.message, 'error');
         }
     };
 
+    // ===== TRASH =====
+    
     /**
-     * Remove all checked items from the list with confirmation
+     * Load and render the recently deleted items of the current list
+     */
+    const renderTrash = async () => {
+        if (!currentListId) return;
+        
+        try {
+            const trash = await DatabaseModule.getTrash();
+            elements.trashInfo.textContent = `Usunięte produkty są kasowane na stałe po ${trash.retention_days} dniach.`;
+            renderTrashList(trash.items);
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            elements.trashList.innerHTML = '<li class="member-empty">Nie udało się pobrać kosza</li>';
+            elements.btnEmptyTrash.style.display = 'none';
+        }
+    };
+    
+    /**
+     * Render trashed items with restore and permanent delete actions
      */
-    const removeCheckedItems = async () => {
-        const checkedItems = shoppingList.filter(item => item.completed);
+    const renderTrashList = (items) => {
+        const canEdit = canEditList();
+        elements.btnEmptyTrash.style.display = canEdit && items.length > 0 ? 'block' : 'none';
         
-        if (checkedItems.length === 0) {
-            showNotification('Brak zaznaczonych produktów do usunięcia', 'info');
+        if (items.length === 0) {
+            elements.trashList.innerHTML = '<li class="member-empty">Kosz jest pusty</li>';
             return;
         }
         
-        if (!confirm(`Czy na pewno chcesz usunąć ${checkedItems.length} zaznaczonych produktów?`)) {
-            return;
-        }
+        elements.trashList.innerHTML = items.map(item => `
+            <li data-id="${item.id}">
+                <span class="member-name">
+                    ${Utils.escapeHtml(item.text)}
+                    <small>${Units.format(item.quantity, item.unit)} · usunięto ${Utils.formatDate(item.deleted_at)}</small>
+                </span>
+                ${canEdit ? `
+                    <button type="button" class="btn-primary" data-trash-action="restore">Przywróć</button>
+                    <button type="button" class="btn-danger" data-trash-action="purge" title="Usuń na stałe">✖</button>
+                ` : ''}
+            </li>
+        `).join('');
+    };
+    
+    /**
+     * Restore a trashed item or delete it for good
+     */
+    const handleTrashClick = async (e) => {
+        const button = e.target.closest('[data-trash-action]');
+        if (!button || !canEditList()) return;
+        
+        const listItem = button.closest('li');
+        const id = Number(listItem.dataset.id);
         
         try {
-            await DatabaseModule.removeCheckedItems();
-            shoppingList = shoppingList.filter(item => !item.completed);
-            renderShoppingList();
-            showNotification(`Usunięto ${checkedItems.length} produktów`, 'success');
-            closeSettings();
+            if (button.dataset.trashAction === 'restore') {
+                const result = await DatabaseModule.restoreItems([id]);
+                if (result.queued) {
+                    listItem.remove();
+                    updateNetworkStatus();
+                    showNotification('Przywrócenie zapisane offline – zostanie zsynchronizowane', 'info');
+                    return;
+                }
+                
+                shoppingList = result.items;
+                renderShoppingList();
+                showNotification('Produkt przywrócony na listę', 'success');
+            } else {
+                if (!confirm('Czy na pewno chcesz usunąć ten produkt na stałe? Tej operacji nie można cofnąć.')) {
+                    return;
+                }
+                await DatabaseModule.purgeItem(id);
+                showNotification('Produkt usunięty na stałe', 'success');
+            }
+            renderTrash();
         } catch (error) {
-            console.error('Error removing checked items:', error);
-            showNotification('Błąd podczas usuwania zaznaczonych produktów: ' + error.message, 'error');
+            console.error('Error handling trash item:', error);
+            showNotification('Błąd podczas operacji na koszu: ' + error.message, 'error');
         }
     };
-
+    
     /**
-     * Delete individual item
+     * Delete every trashed item of the current list for good
      */
-    const deleteItem = async (id) => {
-        if (!confirm('Czy na pewno chcesz usunąć ten produkt?')) {
+    const emptyTrash = async () => {
+        if (!canEditList()) return;
+        
+        if (!confirm('Czy na pewno chcesz opróżnić kosz? Tej operacji nie można cofnąć.')) {
             return;
         }
         
         try {
-            await DatabaseModule.deleteItem(id);
-            shoppingList = shoppingList.filter(item => item.id !== id);
-            renderShoppingList();
-            showNotification('Produkt usunięty', 'success');
+            await DatabaseModule.emptyTrash();
+            renderTrash();
+            showNotification('Kosz opróżniony', 'success');
         } catch (error) {
-            console.error('Error deleting item:', error);
-            showNotification('Błąd podczas usuwania produktu: ' + error.message, 'error');
+            console.error('Error emptying trash:', error);
+            showNotification('Błąd podczas opróżniania kosza: ' + error.message, 'error');
         }
     };
 
-    // ===== LIST EDITING FUNCTIONS =====
+    // ===== CATEGORIES =====
     
     /**
-     * Start editing the entire list
+     * Fill the category select of the add form
      */
-    const startListEditing = () => {
-        isEditingMode = true;
-        originalList = JSON.parse(JSON.stringify(shoppingList)); // Deep copy for cancel
-        
-        // Show edit mode buttons, hide normal buttons
-        elements.btnSaveChanges.style.display = 'block';
-        elements.btnCancelEdit.style.display = 'block';
-        elements.btnRefresh.style.display = 'none';
-        elements.btnAddItem.disabled = true;
-        elements.newItemInput.disabled = true;
-        elements.newQuantityInput.disabled = true;
-        elements.newUnitSelect.disabled = true;
-        elements.newDescriptionInput.disabled = true;
-        
-        // Re-render list in edit mode
+    const renderCategoryOptions = () => {
+        elements.newCategorySelect.innerHTML = '<option value="">Kategoria: automatycznie</option>' +
+            Categories.CATEGORIES.map(c => `<option value="${c.id}">${Utils.escapeHtml(c.name)}</option>`).join('');
+    };
+    
+    /**
+     * Show the category suggested for the typed product name
+     */
+    const updateCategorySuggestion = () => {
+        const text = elements.newItemInput.value.trim();
+        elements.newCategorySelect.options[0].textContent = text
+            ? `Kategoria: ${Categories.getName(Categories.suggest(text))} (auto)`
+            : 'Kategoria: automatycznie';
+    };
+    
+    /**
+     * Get the user's category order (the way through their store)
+     */
+    const getCategoryOrder = () => {
+        const stored = currentUser ? UserPreferences.get(currentUser.username, 'categoryOrder') : null;
+        return Categories.getOrder(stored);
+    };
+    
+    /**
+     * Get the categories the user collapsed in the list
+     */
+    const getCollapsedCategories = () => {
+        return currentUser ? UserPreferences.get(currentUser.username, 'collapsedCategories', []) : [];
+    };
+    
+    /**
+     * Collapse or expand a category section
+     */
+    const toggleCategory = (categoryId) => {
+        const collapsed = getCollapsedCategories();
+        const updated = collapsed.includes(categoryId)
+            ? collapsed.filter(id => id !== categoryId)
+            : [...collapsed, categoryId];
+        UserPreferences.set(currentUser.username, 'collapsedCategories', updated);
         renderShoppingList();
-        closeSettings();
-        showNotification('Tryb edycji włączony. Edytuj elementy i zapisz zmiany.', 'info');
     };
     
     /**
-     * Save changes made during list editing
+     * Render the category order editor of the settings panel
      */
-    const saveListChanges = async () => {
-        try {
-            // Update all items on server
-            await DatabaseModule.replaceShoppingList(shoppingList);
-            
-            // Exit edit mode
-            isEditingMode = false;
-            
-            // Show normal buttons, hide edit buttons
-            elements.btnSaveChanges.style.display = 'none';
-            elements.btnCancelEdit.style.display = 'none';
-            elements.btnRefresh.style.display = 'block';
-            elements.btnAddItem.disabled = false;
-            elements.newItemInput.disabled = false;
-            elements.newQuantityInput.disabled = false;
-            elements.newUnitSelect.disabled = false;
-            elements.newDescriptionInput.disabled = false;
-            
-            // Re-render list in normal mode
-            renderShoppingList();
-            showNotification('Zmiany zapisane pomyślnie', 'success');
-        } catch (error) {
-            console.error('Error saving list changes:', error);
-            showNotification('Błąd podczas zapisywania zmian: ' + error.message, 'error');
-        }
+    const renderCategoryOrder = () => {
+        const order = getCategoryOrder();
+        elements.categoryOrder.innerHTML = order.map((id, index) => `
+            <li data-category="${id}">
+                <span class="category-order-name">${Utils.escapeHtml(Categories.getName(id))}</span>
+                <button type="button" class="btn-secondary" data-move="-1" title="Wyżej" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="btn-secondary" data-move="1" title="Niżej" ${index === order.length - 1 ? 'disabled' : ''}>↓</button>
+            </li>
+        `).join('');
     };
     
     /**
-     * Cancel list editing and revert changes
+     * Move a category up or down in the user's order
      */
-    const cancelListEditing = () => {
-        isEditingMode = false;
-        shoppingList = JSON.parse(JSON.stringify(originalList)); // Restore original list
+    const handleCategoryOrderClick = (e) => {
+        const button = e.target.closest('[data-move]');
+        if (!button) return;
         
-        // Show normal buttons, hide edit buttons
-        elements.btnSaveChanges.style.display = 'none';
-        elements.btnCancelEdit.style.display = 'none';
-        elements.btnRefresh.style.display = 'block';
-        elements.btnAddItem.disabled = false;
-        elements.newItemInput.disabled = false;
-        elements.newQuantityInput.disabled = false;
-        elements.newUnitSelect.disabled = false;
-        elements.newDescriptionInput.disabled = false;
+        const order = getCategoryOrder();
+        const index = order.indexOf(button.closest('li').dataset.category);
+        const target = index + Number(button.dataset.move);
+        if (index === -1 || target < 0 || target >= order.length) return;
         
-        // Re-render list in normal mode
+        [order[index], order[target]] = [order[target], order[index]];
+        UserPreferences.set(currentUser.username, 'categoryOrder', order);
+        renderCategoryOrder();
         renderShoppingList();
-        showNotification('Edycja anulowana. Zmiany nie zostały zapisane.', 'info');
     };
+
+    // ===== PRODUCT SUGGESTIONS =====
     
     /**
-     * Remove item from the list during editing
+     * Load the product history, the device copy first so suggestions work offline
      */
-        const removeItemDuringEditing = async (id) => {
-            const index = shoppingList.findIndex(item => item.id === id);
-            if (index === -1) {
-                console.error('Item not found:', id);
-                return;
-            }
-            try {
-                await DatabaseModule.deleteItem(id);
-                shoppingList.splice(index, 1);
-                renderShoppingList();
-                showNotification('Produkt usunięty', 'success');
-            } catch (error) {
-                console.error('Error deleting item:', error);
-                showNotification('Błąd podczas usuwania: ' + error.message, 'error');
+    const loadProductHistory = async () => {
+        if (!currentUser) return;
+        
+        const username = currentUser.username;
+        ProductHistory.load(username);
+        
+        try {
+            const entries = await DatabaseModule.getProductHistory();
+            if (currentUser && currentUser.username === username) {
+                ProductHistory.setEntries(username, entries);
             }
-        };
+        } catch (error) {
+            console.error('Error loading product history:', error);
+        }
+    };
     
     /**
-     * Update item during editing
+     * Show products from the history matching the typed name
      */
-        const updateItemDuringEditing = async (id, field, value) => {
-            const index = shoppingList.findIndex(item => item.id === id);
-            if (index === -1) {
-                console.error('Item not found:', id);
-                return;
-            }
-            shoppingList[index][field] = (field === 'quantity') ? parseInt(value) || 1 : value; // Walidacja dla quantity
-            try {
-                await DatabaseModule.updateItem(id, { [field]: shoppingList[index][field] });
-                renderShoppingList(); // Re-render po zmianie
-                showNotification('Zmiana zapisana', 'success');
-            } catch (error) {
-                console.error('Error updating item:', error);
-                showNotification('Błąd podczas aktualizacji: ' + error.message, 'error');
-                // Opcjonalnie: revert zmiany lokalnie
-                renderShoppingList();
-            }
-        };
-
-    // ===== AUTHENTICATION FUNCTIONS =====
+    const showSuggestions = () => {
+        suggestions = ProductHistory.search(elements.newItemInput.value);
+        activeSuggestion = -1;
+        renderSuggestions();
+    };
     
     /**
-     * Switch between login/register tabs
+     * Close the suggestion dropdown
      */
-    const switchTab = (tabName) => {
-        elements.tabs.forEach(t => t.classList.remove('active'));
-        document.querySelector(`.tab[data-tab="${tabName}"]`).classList.add('active');
+    const hideSuggestions = () => {
+        suggestions = [];
+        activeSuggestion = -1;
+        renderSuggestions();
+    };
+    
+    /**
+     * Render the suggestion dropdown
+     */
+    const renderSuggestions = () => {
+        const open = suggestions.length > 0;
+        elements.itemSuggestions.style.display = open ? 'block' : 'none';
+        elements.newItemInput.setAttribute('aria-expanded', open ? 'true' : 'false');
         
-        if (tabName === 'login') {
-            elements.loginTab.classList.add('active');
-            elements.registerTab.classList.remove('active');
+        if (activeSuggestion >= 0) {
+            elements.newItemInput.setAttribute('aria-activedescendant', `item-suggestion-${activeSuggestion}`);
         } else {
-            elements.registerTab.classList.add('active');
-            elements.loginTab.classList.remove('active');
+            elements.newItemInput.removeAttribute('aria-activedescendant');
         }
+        
+        elements.itemSuggestions.innerHTML = suggestions.map((entry, index) => `
+            <li id="item-suggestion-${index}" role="option" data-index="${index}"
+                class="${index === activeSuggestion ? 'active' : ''}" aria-selected="${index === activeSuggestion}">
+                <span class="suggestion-name">${Utils.escapeHtml(entry.text)}</span>
+                <span class="suggestion-details">${Units.format(entry.quantity, entry.unit)}</span>
+                <button type="button" class="suggestion-forget" data-forget="${index}" title="Nie podpowiadaj więcej" aria-label="Usuń z podpowiedzi">&times;</button>
+            </li>
+        `).join('');
     };
-
+    
     /**
-     * Update password strength indicator
+     * Navigate the suggestions with the keyboard
      */
-    const updatePasswordStrength = () => {
-        const password = elements.registerPassword.value;
-        const { strength, feedback } = PasswordStrength.checkStrength(password);
-        
-        // Update strength bar
-        let width = 0;
-        let strengthClass = '';
+    const handleSuggestionKeys = (e) => {
+        if (suggestions.length === 0) return;
         
-        if (password.length > 0) {
-            switch(strength) {
-                case 'very-weak': width = 25; strengthClass = 'strength-very-weak'; break;
-                case 'weak': width = 50; strengthClass = 'strength-weak'; break;
-                case 'medium': width = 75; strengthClass = 'strength-medium'; break;
-                case 'strong': width = 100; strengthClass = 'strength-strong'; break;
-            }
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+                renderSuggestions();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                activeSuggestion = activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1;
+                renderSuggestions();
+                break;
+            case 'Enter':
+                // Enter adds the typed text unless a suggestion is highlighted
+                if (activeSuggestion >= 0) {
+                    e.preventDefault();
+                    pickSuggestion(suggestions[activeSuggestion]);
+                }
+                break;
+            case 'Escape':
+                hideSuggestions();
+                break;
         }
-        
-        elements.passwordStrengthBar.style.width = `${width}%`;
-        elements.passwordStrengthBar.className = `password-strength-bar ${strengthClass}`;
-        elements.passwordFeedback.textContent = feedback;
     };
-
+    
     /**
-     * Show notification message
+     * Pick or forget a suggestion with a click or tap
      */
-    const showNotification = (message, type = 'info', duration = 3000) => {
-        // Clear any existing notifications
-        clearNotification();
-        
-        elements.notification.textContent = message;
-        elements.notification.className = `notification ${type}`;
-        elements.notification.style.display = 'block';
+    const handleSuggestionClick = async (e) => {
+        const forgetButton = e.target.closest('[data-forget]');
+        if (forgetButton) {
+            const entry = suggestions[Number(forgetButton.dataset.forget)];
+            ProductHistory.forget(currentUser.username, entry.text);
+            showSuggestions();
+            
+            try {
+                await DatabaseModule.forgetProduct(entry.text);
+            } catch (error) {
+                console.error('Error removing product from history:', error);
+            }
+            return;
+        }
         
-        // Auto-hide after duration
-        elements.notification.timeoutId = setTimeout(() => {
-            elements.notification.style.display = 'none';
-        }, duration);
+        const option = e.target.closest('[data-index]');
+        if (option) {
+            pickSuggestion(suggestions[Number(option.dataset.index)]);
+        }
     };
     
     /**
-     * Clear any visible notification
+     * Fill the add form with a product from the history
      */
-    const clearNotification = () => {
-        if (elements.notification.timeoutId) {
-            clearTimeout(elements.notification.timeoutId);
-        }
-        elements.notification.style.display = 'none';
+    const pickSuggestion = (entry) => {
+        elements.newItemInput.value = entry.text;
+        elements.newQuantityInput.value = Units.formatInput(entry.quantity);
+        elements.newUnitSelect.value = entry.unit;
+        elements.newDescriptionInput.value = entry.description || '';
+        elements.newPriceInput.value = Utils.formatAmountInput(entry.price);
+        elements.newCategorySelect.value = entry.category || '';
+        updateCategorySuggestion();
+        updateQuickAddPreview();
+        hideSuggestions();
+        elements.newItemInput.focus();
     };
 
+    // ===== SORTING AND FILTERING =====
+    
+    const SORT_OPTIONS = ['category', 'name', 'added', 'quantity'];
+    const FILTER_OPTIONS = ['all', 'open', 'completed'];
+    const DEFAULT_LIST_VIEW = { sort: 'category', filter: 'all', search: '' };
+    
     /**
-     * Set button loading state
+     * Load the user's sorting, filter and search and show them in the toolbar
      */
-    const setLoading = (button, isLoading) => {
-        const buttons = {
-            login: {
-                loading: elements.loginLoading,
-                text: elements.loginText,
-                button: elements.btnLogin,
-                defaultText: 'Zaloguj się'
-            },
-            register: {
-                loading: elements.registerLoading,
-                text: elements.registerText,
-                button: elements.btnRegister,
-                defaultText: 'Zarejestruj się'
-            }
-        };
-        
-        const btnConfig = buttons[button];
-        if (!btnConfig) return;
+    const loadListView = () => {
+        const stored = currentUser ? UserPreferences.get(currentUser.username, 'listView', {}) : {};
+        listView = { ...DEFAULT_LIST_VIEW, ...stored };
+        if (!SORT_OPTIONS.includes(listView.sort)) listView.sort = DEFAULT_LIST_VIEW.sort;
+        if (!FILTER_OPTIONS.includes(listView.filter)) listView.filter = DEFAULT_LIST_VIEW.filter;
         
-        if (isLoading) {
-            btnConfig.loading.style.display = 'inline-block';
-            btnConfig.text.textContent = 'Przetwarzanie...';
-            btnConfig.button.disabled = true;
-        } else {
-            btnConfig.loading.style.display = 'none';
-            btnConfig.text.textContent = btnConfig.defaultText;
-            btnConfig.button.disabled = false;
+        elements.listSort.value = listView.sort;
+        elements.listFilter.value = listView.filter;
+        elements.listSearch.value = listView.search;
+    };
+    
+    /**
+     * Change the list view and remember it for the user
+     */
+    const setListView = (changes) => {
+        listView = { ...listView, ...changes };
+        if (currentUser) {
+            UserPreferences.set(currentUser.username, 'listView', listView);
         }
+        renderShoppingList();
     };
-
+    
     /**
-     * Check if user is locked out due to too many failed login attempts
+     * Whether items are shown in category sections in the user's own order
      */
-    const isLockedOut = () => {
-        if (failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
-            const now = Date.now();
-            if (now < lockoutUntil) {
-                const remainingMinutes = Math.ceil((lockoutUntil - now) / 60000);
-                showNotification(`Zbyt wiele nieudanych prób. Spróbuj ponownie za ${remainingMinutes} minut.`, 'error', 5000);
-                return true;
-            } else {
-                // Reset lockout after time passes
-                failedLoginAttempts = 0;
-            }
+    const isManualOrder = () => (listView.sort || DEFAULT_LIST_VIEW.sort) === 'category';
+    
+    /**
+     * Compare items by quantity, largest first; units of one family (kg/g, l/ml) compare together
+     */
+    const compareQuantity = (a, b) => {
+        const baseA = Units.toBase(Number(a.quantity), a.unit);
+        const baseB = Units.toBase(Number(b.quantity), b.unit);
+        if (baseA.unit !== baseB.unit) {
+            return Units.UNITS.indexOf(baseA.unit) - Units.UNITS.indexOf(baseB.unit);
         }
-        return false;
+        return baseB.quantity - baseA.quantity;
+    };
+    
+    const ITEM_COMPARATORS = {
+        name: (a, b) => String(a.text).localeCompare(String(b.text), 'pl-PL', { sensitivity: 'base' }),
+        added: (a, b) => String(b.added_at || '').localeCompare(String(a.added_at || '')),
+        quantity: compareQuantity
+    };
+    
+    /**
+     * Apply the filter, search and sorting of the toolbar; open items stay before bought ones
+     */
+    const applyListView = (items) => {
+        const needle = Utils.foldText(listView.search).trim();
+        const visible = items.filter(item => {
+            if (listView.filter === 'open' && item.completed) return false;
+            if (listView.filter === 'completed' && !item.completed) return false;
+            if (!needle) return true;
+            return Utils.foldText(`${item.text} ${item.description || ''}`).includes(needle);
+        });
+        
+        const compare = ITEM_COMPARATORS[listView.sort];
+        if (!compare) return sortByPosition(visible);
+        return [...visible].sort((a, b) => Number(!!a.completed) - Number(!!b.completed) || compare(a, b));
     };
 
+    // ===== DRAG AND DROP =====
+    
+    let dragState = null;
+    
     /**
-     * Register a new user
+     * Order items like the server does: open items first, then by position.
+     * Optimistic items without a position yet stay on top.
      */
-    const register = async () => {
-        const username = elements.registerUsername.value.trim();
-        const password = elements.registerPassword.value;
-        const confirm = elements.registerConfirm.value;
+    const sortByPosition = (items) => {
+        const positionOf = (item) => Number.isFinite(item.position) ? item.position : -Infinity;
+        return [...items].sort((a, b) =>
+            Number(!!a.completed) - Number(!!b.completed) || positionOf(a) - positionOf(b)
+        );
+    };
+    
+    /**
+     * Local position between two neighbours, mirroring the server's choice
+     */
+    const localPositionBetween = (previous, next, fallback) => {
+        const hasPrevious = previous && Number.isFinite(previous.position);
+        const hasNext = next && Number.isFinite(next.position);
         
-        // Validate form
-        if (!username || !password) {
-            showNotification('Login i hasło są wymagane', 'error');
-            return;
-        }
+        if (hasPrevious && hasNext) return (previous.position + next.position) / 2;
+        if (hasPrevious) return previous.position + 1;
+        if (hasNext) return next.position - 1;
+        return fallback;
+    };
+    
+    /**
+     * Items a dragged item may be dropped between: its category section, or the whole list in edit mode
+     */
+    const isDropTarget = (target) => {
+        if (!target || target === dragState.li || !target.dataset.id) return false;
+        return isEditingMode || target.dataset.category === dragState.li.dataset.category;
+    };
+    
+    /**
+     * Start dragging an item by its handle (pointer events cover mouse, touch and pen)
+     */
+    const handleDragStart = (e) => {
+        const handle = e.target.closest('.drag-handle');
+        if (!handle || dragState || !canEditList() || e.button > 0) return;
         
-        if (username.length < 3) {
-            showNotification('Login musi mieć co najmniej 3 znaki', 'error');
-            return;
-        }
+        const li = handle.closest('li[data-id]');
+        if (!li) return;
         
-        if (password !== confirm) {
-            showNotification('Hasła nie są identyczne', 'error');
-            return;
-        }
+        e.preventDefault();
+        dragState = {
+            li,
+            handle,
+            startPrevious: li.previousElementSibling,
+            startNext: li.nextElementSibling
+        };
+        li.classList.add('dragging');
+        handle.setPointerCapture(e.pointerId);
+        handle.addEventListener('pointermove', handleDragMove);
+        handle.addEventListener('pointerup', handleDragEnd);
+        handle.addEventListener('pointercancel', handleDragEnd);
+    };
+    
+    /**
+     * Move the dragged item before or after the item under the pointer
+     */
+    const handleDragMove = (e) => {
+        if (!dragState) return;
         
-        // Check password strength
-        const { strength } = PasswordStrength.checkStrength(password);
-        if (strength === 'very-weak' || strength === 'weak') {
-            showNotification('Hasło jest zbyt słabe', 'error');
-            return;
-        }
+        // Scroll when the pointer gets close to the edge of the screen
+        const edge = 40;
+        if (e.clientY < edge) window.scrollBy(0, -10);
+        if (e.clientY > window.innerHeight - edge) window.scrollBy(0, 10);
         
-        setLoading('register', true);
+        const under = document.elementFromPoint(e.clientX, e.clientY);
+        const target = under ? under.closest('#shopping-items > li') : null;
+        if (!isDropTarget(target)) return;
         
-        try {
-            const response = await DatabaseModule.registerUser(username, password);
-            
-            // Automatically log in after registration
-            currentUser = { username: response.username };
-            saveUserSession(currentUser);
-            
-            updateUIAfterLogin();
-            showNotification('Konto zostało utworzone i zostałeś automatycznie zalogowany', 'success');
-            
-            // Clear registration form
-            elements.registerUsername.value = '';
-            elements.registerPassword.value = '';
-            elements.registerConfirm.value = '';
-            elements.passwordStrengthBar.style.width = '0';
-            elements.passwordFeedback.textContent = '';
-            
-            // Load shopping list
-            loadShoppingList();
-        } catch (error) {
-            console.error('Registration error:', error);
-            showNotification('Rejestracja nie powiodła się: ' + error.message, 'error');
-        } finally {
-            setLoading('register', false);
-        }
+        const rect = target.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        elements.shoppingItems.insertBefore(dragState.li, after ? target.nextElementSibling : target);
     };
-
+    
     /**
-     * Login user
+     * Drop the dragged item and save its new place
      */
-    const login = async () => {
-        if (isLockedOut()) return;
+    const handleDragEnd = (e) => {
+        if (!dragState) return;
         
-        const username = elements.loginUsername.value.trim();
-        const password = elements.loginPassword.value;
+        const { li, handle, startPrevious, startNext } = dragState;
+        handle.removeEventListener('pointermove', handleDragMove);
+        handle.removeEventListener('pointerup', handleDragEnd);
+        handle.removeEventListener('pointercancel', handleDragEnd);
+        if (handle.hasPointerCapture(e.pointerId)) handle.releasePointerCapture(e.pointerId);
+        li.classList.remove('dragging');
+        dragState = null;
         
-        // Validate form
-        if (!username || !password) {
-            showNotification('Login i hasło są wymagane', 'error');
+        if (e.type === 'pointercancel' ||
+            (li.previousElementSibling === startPrevious && li.nextElementSibling === startNext)) {
+            renderShoppingList();
             return;
         }
         
-        setLoading('login', true);
-        
-        try {
-            const response = await DatabaseModule.loginUser(username, password);
-            
-            // Login successful
-            failedLoginAttempts = 0;
-            currentUser = { username: response.username };
-            
-            // Save session if "remember me" is checked
-            saveUserSession(currentUser);
-            
-            // Update UI
-            updateUIAfterLogin();
-            showNotification('Zalogowano pomyślnie', 'success');
-        } catch (error) {
-            console.error('Login error:', error);
-            failedLoginAttempts++;
-            
-            if (failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
-                lockoutUntil = Date.now() + LOCKOUT_TIME;
-                showNotification(`Zbyt wiele nieudanych prób. Spróbuj ponownie za 5 minut.`, 'error', 5000);
-            } else {
-                showNotification(`Logowanie nie powiodło się: ${error.message}. Pozostałe próby: ${MAX_LOGIN_ATTEMPTS - failedLoginAttempts}`, 'error');
-            }
-        } finally {
-            setLoading('login', false);
-        }
+        // Neighbours inside the same section (category headers carry no id)
+        const neighbourId = (element) => element && element.dataset.id ? parseInt(element.dataset.id) : null;
+        moveItem(parseInt(li.dataset.id), neighbourId(li.previousElementSibling), neighbourId(li.nextElementSibling));
     };
-
+    
     /**
-     * Logout user
+     * Place an item between two neighbours; in edit mode the position is saved with the other changes
      */
-    const logout = async () => {
+    const moveItem = async (id, previousId, nextId) => {
+        const item = shoppingList.find(i => i.id === id);
+        if (!item) return;
+        
+        const previous = shoppingList.find(i => i.id === previousId);
+        const next = shoppingList.find(i => i.id === nextId);
+        item.position = localPositionBetween(previous, next, item.position);
+        renderShoppingList();
+        
+        if (isEditingMode) return;
+        
         try {
-            await DatabaseModule.logoutUser();
+            const result = await DatabaseModule.reorderItem(id, previousId, nextId);
+            if (result.item) {
+                item.position = result.item.position;
+            } else if (result.queued) {
+                item.pending = true;
+                updateNetworkStatus();
+            }
+            renderShoppingList();
         } catch (error) {
-            console.error('Logout error:', error);
-            // Even if server logout fails, clear local session
-        } finally {
-            // Clear session data
-            SessionManager.clearSession();
-            updateUIAfterLogout();
-            showNotification('Wylogowano pomyślnie', 'info');
+            console.error('Error moving item:', error);
+            showNotification('Błąd podczas zmiany kolejności: ' + error.message, 'error');
+            loadShoppingList();
         }
     };
 
@@ -1111,30 +6302,86 @@ const ShoppingListApp = (() => {
      * Load shopping list from server
      */
     const loadShoppingList = async () => {
-        if (!currentUser) return;
+        if (!currentUser || !currentListId) return;
+        
+        const listId = currentListId;
+        
+        if (shoppingList.length === 0) {
+            renderCachedList();
+        }
+        
+        await syncPendingChanges();
+        await maintainList();
         
         try {
             const items = await DatabaseModule.getShoppingList();
+            
+            // The user switched to another list in the meantime
+            if (listId !== currentListId) return;
+            
             shoppingList = items || [];
+            listSavedAt = Date.now();
+            setListStale(false);
             renderShoppingList();
+            loadStaples();
         } catch (error) {
             console.error('Error loading shopping list:', error);
             
             // Check if it's an authentication error
-            if (error.message.includes('401') || error.message.includes('Nieautoryzowany')) {
+            if (isAuthError(error)) {
                 // Session invalid on server
-                SessionManager.clearSession();
-                currentUser = null;
-                updateUIAfterLogout();
-                showNotification('Sesja wygasła. Zaloguj się ponownie.', 'info');
+                handleSessionExpired();
+                return;
+            }
+            
+            if (listId !== currentListId) return;
+            
+            const cached = ListCache.load(currentUser.username, currentListId);
+            if (cached) {
+                // Keep showing the local copy, but make it clear it may be outdated
+                if (shoppingList.length === 0) {
+                    shoppingList = cached.items;
+                    listSavedAt = cached.savedAt;
+                }
+                setListStale(true, cached.savedAt);
+                showNotification('Nie udało się pobrać listy – wyświetlono zapisaną kopię', 'warning');
             } else {
                 showNotification('Błąd podczas ładowania listy: ' + error.message, 'error');
+                shoppingList = [];
+                listSavedAt = null;
             }
-            shoppingList = [];
             renderShoppingList();
         }
     };
 
+    /**
+     * Render the locally cached list of the current user, if there is one
+     */
+    const renderCachedList = () => {
+        const cached = ListCache.load(currentUser.username, currentListId);
+        if (!cached) return;
+        
+        shoppingList = cached.items;
+        listSavedAt = cached.savedAt;
+        renderShoppingList();
+    };
+
+    /**
+     * Mark the rendered list as (not) coming from an outdated local copy
+     */
+    const setListStale = (stale, savedAt = null) => {
+        elements.shoppingItems.classList.toggle('list-stale', stale);
+        
+        if (!elements.staleBanner) return;
+        if (stale) {
+            const savedTime = savedAt ? new Date(savedAt).toLocaleString('pl-PL') : '';
+            elements.staleBanner.textContent = `Wyświetlasz zapisaną kopię listy${savedTime ? ` z ${savedTime}` : ''}. Dane mogą być nieaktualne.`;
+            elements.staleBanner.style.display = 'block';
+        } else {
+            elements.staleBanner.style.display = 'none';
+        }
+    };
+
     /**
      * Refresh shopping list
      */
@@ -1147,54 +6394,188 @@ const ShoppingListApp = (() => {
      * Add new item to the shopping list
      */
     const addItem = async () => {
-        const itemText = elements.newItemInput.value.trim();
-        const itemQuantity = parseInt(elements.newQuantityInput.value);
+        if (!canEditList()) return;
+        
+        const entries = QuickAdd.parse(elements.newItemInput.value);
+        const itemQuantity = Units.parseQuantity(elements.newQuantityInput.value);
         const itemUnit = elements.newUnitSelect.value;
         const itemDescription = elements.newDescriptionInput.value.trim();
+        const itemPrice = Utils.parseAmount(elements.newPriceInput.value);
         
         // Validate form
-        if (!itemText) {
+        if (entries.length === 0) {
             showNotification('Nazwa produktu jest wymagana', 'error');
             return;
         }
         
-        if (!itemQuantity || itemQuantity <= 0) {
-            showNotification('Ilość musi być większa niż 0', 'error');
+        if (Number.isNaN(itemPrice)) {
+            showNotification('Cena musi być kwotą, np. 4,99', 'error');
             return;
         }
         
+        // A single plain name uses the form fields, parsed text brings its own quantity and unit
+        const single = entries.length === 1;
+        const useFormFields = single && !entries[0].parsed;
+        
+        const newItems = entries.map(entry => ({
+            text: entry.text,
+            quantity: useFormFields ? itemQuantity : entry.quantity,
+            unit: useFormFields ? itemUnit : entry.unit,
+            category: (single && elements.newCategorySelect.value) || Categories.suggest(entry.text),
+            description: single ? itemDescription : '',
+            // Without a typed price the server uses the price of the last purchase
+            ...(single && itemPrice !== null ? { price: itemPrice } : {}),
+            completed: false
+        }));
+        
+        for (const item of newItems) {
+            const error = Units.validate(item.quantity, item.unit);
+            if (error) {
+                showNotification(single ? error : `${item.text}: ${error}`, 'error');
+                return;
+            }
+        }
+        
+        let addedCount = 0;
+        let mergedCount = 0;
+        let pendingCount = 0;
         try {
-            const newItem = {
-                text: itemText,
-                quantity: itemQuantity,
-                unit: itemUnit,
-                description: itemDescription,
-                completed: false
-            };
-            
-            const result = await DatabaseModule.addItem(newItem);
-            console.log('Added item with ID:', result.id); // Debug log
-            
-            // Add new item to local list with the returned data
-            shoppingList.push(result);
+            for (const newItem of newItems) {
+                if (await mergeIntoDuplicate(newItem)) {
+                    mergedCount++;
+                } else {
+                    const result = await DatabaseModule.addItem(newItem);
+                    console.log('Added item with ID:', result.id); // Debug log
+                    
+                    // Add new item to local list with the returned data
+                    shoppingList.push(result);
+                    if (result.pending) pendingCount++;
+                }
+                ProductHistory.remember(currentUser.username, newItem);
+                addedCount++;
+            }
             
             // Clear fields and refresh list
             elements.newItemInput.value = '';
             elements.newQuantityInput.value = '1';
             elements.newUnitSelect.value = 'szt';
+            elements.newCategorySelect.value = '';
             elements.newDescriptionInput.value = '';
-            renderShoppingList();
-            showNotification('Produkt dodany', 'success');
+            elements.newPriceInput.value = '';
+            updateCategorySuggestion();
+            updateQuickAddPreview();
+            hideSuggestions();
+            
+            let message;
+            if (single) {
+                message = mergedCount > 0 ? 'Zwiększono ilość produktu na liście' : 'Produkt dodany';
+            } else {
+                message = `Dodano produkty: ${addedCount - mergedCount}`;
+                if (mergedCount > 0) message += `, zwiększono ilość: ${mergedCount}`;
+            }
+            showNotification(pendingCount > 0 ? `${message} offline – zostanie zsynchronizowane` : message, 'success');
         } catch (error) {
             console.error('Error adding item:', error);
+            
+            // Keep the entries that were not added in the input
+            if (addedCount > 0) {
+                elements.newItemInput.value = newItems.slice(addedCount)
+                    .map(item => `${Units.formatInput(item.quantity)} ${item.unit} ${item.text}`)
+                    .join(', ');
+                updateQuickAddPreview();
+            }
             showNotification('Błąd podczas dodawania produktu: ' + error.message, 'error');
+        } finally {
+            updateNetworkStatus();
+            if (addedCount > 0) renderShoppingList();
+        }
+    };
+
+    /**
+     * Offer to bump the quantity of an item already on the list instead of adding a copy
+     * Returns true when the new item was merged into the existing one
+     */
+    const mergeIntoDuplicate = async (newItem) => {
+        const duplicate = Duplicates.findDuplicate(shoppingList, newItem);
+        if (!duplicate) return false;
+        
+        const merged = Duplicates.merge(duplicate, newItem);
+        const question = `"${duplicate.text}" (${Units.format(duplicate.quantity, duplicate.unit)}) jest już na liście. ` +
+            `Zwiększyć ilość do ${Units.format(merged.quantity, merged.unit)} zamiast dodawać nowy produkt?`;
+        if (!confirm(question)) return false;
+        
+        const result = await saveItemUpdate(duplicate, { quantity: merged.quantity, unit: merged.unit });
+        if (result.queued) {
+            duplicate.pending = true;
+        }
+        return true;
+    };
+
+    /**
+     * Show what the typed quick-add text will be added as
+     */
+    const updateQuickAddPreview = () => {
+        const entries = QuickAdd.parse(elements.newItemInput.value);
+        const showPreview = entries.length > 1 || (entries.length === 1 && entries[0].parsed);
+        
+        elements.quickAddPreview.style.display = showPreview ? 'block' : 'none';
+        elements.quickAddPreview.innerHTML = showPreview ? `
+            <span class="quick-add-label">Zostanie dodane:</span>
+            ${entries.map(entry => `
+                <span class="quick-add-entry">${Units.formatNumber(entry.quantity)} ${entry.unit} · ${Utils.escapeHtml(entry.text)}</span>
+            `).join('')}
+        ` : '';
+        
+        // Parsed quantities replace the separate fields
+        elements.newQuantityInput.disabled = showPreview;
+        elements.newUnitSelect.disabled = showPreview;
+    };
+
+    /**
+     * Turn pasted lines into a comma separated quick-add batch
+     */
+    const handleItemPaste = (e) => {
+        const pasted = (e.clipboardData || window.clipboardData).getData('text');
+        if (!/[\r\n]/.test(pasted)) return;
+        
+        e.preventDefault();
+        const batch = pasted.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join(', ');
+        const input = elements.newItemInput;
+        input.setRangeText(batch, input.selectionStart, input.selectionEnd, 'end');
+        input.dispatchEvent(new Event('input'));
+    };
+
+    /**
+     * Find an item of the list or fail when it is gone (e.g. deleted on another device)
+     */
+    const findListItem = (id) => {
+        const item = shoppingList.find(item => item.id === id);
+        if (!item) throw new Error('Produktu nie ma już na liście');
+        return item;
+    };
+    
+    /**
+     * Save the bought state of an item
+     */
+    const setItemCompleted = async (item, completed) => {
+        const result = await saveItemUpdate(item, { completed });
+        if (completed) {
+            ProductHistory.rememberPrice(currentUser.username, item);
+        }
+        if (result.queued) {
+            item.pending = true;
+            item.completed_at = completed ? new Date().toISOString() : null;
+            updateNetworkStatus();
         }
+        return result;
     };
 
     /**
      * Toggle item completion status
      */
     const toggleItem = async (id) => {
+        if (!canEditList()) return;
+        
         const item = shoppingList.find(item => item.id === id);
         if (!item) {
             console.error('Item not found in local list:', id);
@@ -1205,12 +6586,13 @@ const ShoppingListApp = (() => {
         const newCompleted = !item.completed;
         
         try {
-            await DatabaseModule.updateItem(id, { completed: newCompleted });
-            item.completed = newCompleted;
-            if (item.completed) {
-                item.completed_at = new Date().toISOString();
-            } else {
-                delete item.completed_at;
+            const result = await setItemCompleted(item, newCompleted);
+            if (!result.resolved) {
+                recordOperation({
+                    label: `${newCompleted ? 'zaznaczenie' : 'odznaczenie'} „${item.text}”`,
+                    undo: () => setItemCompleted(findListItem(id), !newCompleted),
+                    redo: () => setItemCompleted(findListItem(id), newCompleted)
+                });
             }
             renderShoppingList();
         } catch (error) {
@@ -1219,6 +6601,108 @@ const ShoppingListApp = (() => {
         }
     };
 
+    /**
+     * Render a single item, as an edit form in edit mode
+     */
+const createItemElement = (item) => {
+    const li = document.createElement('li');
+    li.setAttribute('data-id', item.id);
+    
+    if (isEditingMode) {
+        // Edit mode rendering (pozostaw bez zmian)
+        let optionsHtml = '';
+        const units = ['szt', 'kg', 'g', 'l', 'ml', 'opak', 'inna'];
+        units.forEach(u => {
+            optionsHtml += `<option value="${u}" ${item.unit === u ? 'selected' : ''}>${u}</option>`;
+        });
+        const categoryOptionsHtml = Categories.CATEGORIES.map(c =>
+            `<option value="${c.id}" ${Categories.ofItem(item) === c.id ? 'selected' : ''}>${Utils.escapeHtml(c.name)}</option>`
+        ).join('');
+
+        li.innerHTML = `
+            <form class="edit-item-form" onsubmit="return false;">
+                <span class="drag-handle" title="Przeciągnij, aby zmienić kolejność" aria-hidden="true">⠿</span>
+                <input type="text" class="edit-item-name" value="${Utils.escapeHtml(item.text)}" 
+                    onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'text', this.value)">
+                <input type="text" inputmode="decimal" class="edit-item-quantity" value="${Units.formatInput(item.quantity)}" 
+                    onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'quantity', this.value)">
+                <select class="edit-item-unit" onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'unit', this.value)">
+                    ${optionsHtml}
+                </select>
+                <input type="text" inputmode="decimal" class="edit-item-price" value="${Utils.formatAmountInput(item.price)}"
+                    placeholder="Cena/${Units.priceUnit(item.unit)}" title="Cena za ${Units.priceUnit(item.unit)}"
+                    onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'price', this.value)">
+                <select class="edit-item-category" onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'category', this.value)">
+                    ${categoryOptionsHtml}
+                </select>
+                <textarea class="edit-item-description" placeholder="Opcjonalny opis..."
+                    onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'description', this.value)">${Utils.escapeHtml(item.description || '')}</textarea>
+                <button type="button" class="btn-danger remove-item-btn" 
+                    onclick="window.ShoppingListApp.removeItemDuringEditing(${item.id})">
+                    Usuń
+                </button>
+            </form>
+        `;
+    } else {
+        // Normal mode rendering z debugowaniem
+        const completedClass = item.completed ? 'item-completed' : '';
+        if (item.pending) {
+            li.classList.add('item-pending');
+        }
+        li.setAttribute('data-category', Categories.ofItem(item));
+        li.innerHTML = `
+            <div class="item-main">
+                <div class="item-details" style="display: flex; flex-direction: row; align-items: center;">
+                    ${canEditList() && isManualOrder() ? '<span class="drag-handle" title="Przeciągnij, aby zmienić kolejność" aria-hidden="true">⠿</span>' : ''}
+                    <input type="checkbox" class="item-checkbox" 
+                        ${item.completed ? 'checked' : ''} 
+                        ${canEditList() ? '' : 'disabled'}
+                        onclick="window.ShoppingListApp.toggleItem(${item.id})" 
+                        style="margin: 0 8px 0 0; width: 20px; height: 20px;">
+                    <div class="item-name ${completedClass}" style="flex: 1; overflow: hidden; text-overflow: ellipsis; min-width: 120px;">
+                        ${Utils.escapeHtml(item.text)}
+                        ${isStaple(item) ? '<span class="staple-badge" title="Stały produkt – wraca na listę">↻</span>' : ''}
+                    </div>
+                    <div class="item-quantity-container" style="flex-shrink: 0; white-space: nowrap;">
+                        <span>${Units.format(item.quantity, item.unit)}</span>
+                        ${item.price !== null && item.price !== undefined ? `
+                            <span class="item-price" title="${Utils.formatMoney(item.price)}/${Units.priceUnit(item.unit)}">
+                                ${Utils.formatMoney(Units.cost(item.quantity, item.unit, item.price))}
+                            </span>
+                        ` : ''}
+                    </div>
+                </div>
+                ${item.description ? `
+                    <div class="item-description">
+                        ${Utils.escapeHtml(item.description)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+        console.log(`Rendering item ${item.id}: Checkbox should be left, Name: ${item.text}`);
+    }
+    
+    return li;
+};
+
+    /**
+     * Render the header of a collapsible category section
+     */
+const createCategoryHeader = (section, collapsed) => {
+    const li = document.createElement('li');
+    li.className = 'category-header' + (collapsed ? ' collapsed' : '');
+    li.setAttribute('data-category', section.id);
+    
+    const openCount = section.items.filter(item => !item.completed).length;
+    li.innerHTML = `
+        <span class="category-toggle">${collapsed ? '▸' : '▾'}</span>
+        <span class="category-name">${Utils.escapeHtml(section.name)}</span>
+        <span class="category-count">${openCount}/${section.items.length}</span>
+    `;
+    
+    return li;
+};
+
     /**
      * Render shopping list with optimized DOM manipulation
      * Different rendering for normal mode vs edit mode
@@ -1227,6 +6711,15 @@ const renderShoppingList = () => {
     const fragment = document.createDocumentFragment();
     elements.shoppingItems.innerHTML = '';
 
+    // Every rendered state outside edit mode is the latest local truth
+    if (currentUser && currentListId && !isEditingMode && listSavedAt !== null) {
+        ListCache.save(currentUser.username, currentListId, shoppingList, listSavedAt);
+    }
+    
+    // Edit mode always shows the whole list
+    elements.listToolbar.style.display = isEditingMode ? 'none' : '';
+    const visibleItems = isEditingMode ? sortByPosition(shoppingList) : applyListView(shoppingList);
+
     if (shoppingList.length === 0) {
         const emptyItem = document.createElement('li');
         emptyItem.className = 'empty-list';
@@ -1236,68 +6729,35 @@ const renderShoppingList = () => {
             <div>Dodaj pierwszy produkt powyżej</div>
         `;
         fragment.appendChild(emptyItem);
+    } else if (visibleItems.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'empty-list';
+        emptyItem.innerHTML = `
+            <i>🔍</i>
+            <div>Żaden produkt nie pasuje do filtrów</div>
+        `;
+        fragment.appendChild(emptyItem);
+    } else if (isEditingMode || !isManualOrder()) {
+        visibleItems.forEach(item => fragment.appendChild(createItemElement(item)));
     } else {
-        shoppingList.forEach((item, index) => {
-            const li = document.createElement('li');
-            li.setAttribute('data-id', item.id);
+        // Group by category in the order of the user's store
+        const collapsed = getCollapsedCategories();
+        Categories.group(visibleItems, getCategoryOrder()).forEach(section => {
+            const isCollapsed = collapsed.includes(section.id);
+            fragment.appendChild(createCategoryHeader(section, isCollapsed));
             
-            if (isEditingMode) {
-                // Edit mode rendering (pozostaw bez zmian)
-                let optionsHtml = '';
-                const units = ['szt', 'kg', 'g', 'l', 'ml', 'opak', 'inna'];
-                units.forEach(u => {
-                    optionsHtml += `<option value="${u}" ${item.unit === u ? 'selected' : ''}>${u}</option>`;
-                });
-
-                li.innerHTML = `
-                    <form class="edit-item-form" onsubmit="return false;">
-                        <input type="text" class="edit-item-name" value="${Utils.escapeHtml(item.text)}" 
-                            onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'text', this.value)">
-                        <input type="number" class="edit-item-quantity" value="${item.quantity}" min="1" 
-                            onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'quantity', this.value)">
-                        <select class="edit-item-unit" onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'unit', this.value)">
-                            ${optionsHtml}
-                        </select>
-                        <textarea class="edit-item-description" placeholder="Opcjonalny opis..."
-                            onchange="window.ShoppingListApp.updateItemDuringEditing(${item.id}, 'description', this.value)">${Utils.escapeHtml(item.description || '')}</textarea>
-                        <button type="button" class="btn-danger remove-item-btn" 
-                            onclick="window.ShoppingListApp.removeItemDuringEditing(${item.id})">
-                            Usuń
-                        </button>
-                    </form>
-                `;
-            } else {
-                // Normal mode rendering z debugowaniem
-                const completedClass = item.completed ? 'item-completed' : '';
-                li.innerHTML = `
-                    <div class="item-main">
-                        <div class="item-details" style="display: flex; flex-direction: row; align-items: center;">
-                            <input type="checkbox" class="item-checkbox" 
-                                ${item.completed ? 'checked' : ''} 
-                                onclick="window.ShoppingListApp.toggleItem(${item.id})" 
-                                style="margin: 0 8px 0 0; width: 20px; height: 20px;">
-                            <div class="item-name ${completedClass}" style="flex: 1; overflow: hidden; text-overflow: ellipsis; min-width: 120px;">
-                                ${Utils.escapeHtml(item.text)}
-                            </div>
-                            <div class="item-quantity-container" style="flex-shrink: 0; white-space: nowrap;">
-                                <span>${item.quantity} ${item.unit}</span>
-                            </div>
-                        </div>
-                        ${item.description ? `
-                            <div class="item-description">
-                                ${Utils.escapeHtml(item.description)}
-                            </div>
-                        ` : ''}
-                    </div>
-                `;
-                console.log(`Rendering item ${item.id}: Checkbox should be left, Name: ${item.text}`);
+            if (!isCollapsed) {
+                section.items.forEach(item => fragment.appendChild(createItemElement(item)));
             }
-            
-            fragment.appendChild(li);
         });
     }
     
     elements.shoppingItems.appendChild(fragment);
+    renderListTotal();
+    
+    if (shopModeActive) {
+        renderShopMode();
+    }
 };
 
     // Public methods (exposed for onclick handlers)
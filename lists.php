@@ -0,0 +1,223 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+
+const DEFAULT_LIST_NAME = 'Moja lista';
+const MAX_LIST_NAME_LENGTH = 100;
+
+// Fetch all lists the user owns or was given access to, with item counters
+function fetchLists($db, $userId) {
+    $stmt = $db->prepare("
+        SELECT l.id, l.name, l.archived, l.budget, l.created_at, l.updated_at,
+               CASE WHEN l.user_id = :owner_check THEN 'owner' ELSE m.role END AS role,
+               u.username AS owner_name,
+               (SELECT COUNT(*) FROM list_members lm WHERE lm.list_id = l.id AND lm.status = 'accepted') AS member_count,
+               (SELECT COUNT(*) FROM shopping_items i WHERE i.list_id = l.id AND i.deleted_at IS NULL) AS item_count,
+               (SELECT COUNT(*) FROM shopping_items i WHERE i.list_id = l.id AND i.deleted_at IS NULL AND i.completed = 0) AS open_count
+        FROM shopping_lists l
+        JOIN users u ON u.id = l.user_id
+        LEFT JOIN list_members m
+            ON m.list_id = l.id AND m.user_id = :member_id AND m.status = 'accepted'
+        WHERE l.user_id = :owner_id OR m.user_id IS NOT NULL
+        ORDER BY l.archived, l.created_at
+    ");
+    $stmt->bindValue(':owner_check', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':member_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':owner_id', $userId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $lists = $stmt->fetchAll();
+    foreach ($lists as &$list) {
+        $list['id'] = (int)$list['id'];
+        $list['archived'] = (bool)$list['archived'];
+        $list['budget'] = $list['budget'] !== null ? (float)$list['budget'] : null;
+        $list['member_count'] = (int)$list['member_count'];
+        $list['item_count'] = (int)$list['item_count'];
+        $list['open_count'] = (int)$list['open_count'];
+    }
+    
+    return $lists;
+}
+
+// Create a list and return its id
+function createList($db, $userId, $name) {
+    $stmt = $db->prepare('INSERT INTO shopping_lists (user_id, name, created_at) VALUES (:user_id, :name, NOW())');
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':name', $name, PDO::PARAM_STR);
+    $stmt->execute();
+    
+    return (int)$db->lastInsertId();
+}
+
+// Validate a list name, returns an error message or null
+function validateListName($name) {
+    if ($name === '') {
+        return 'List name is required';
+    }
+    if (mb_strlen($name) > MAX_LIST_NAME_LENGTH) {
+        return 'List name is too long';
+    }
+    return null;
+}
+
+try {
+    switch ($method) {
+        case 'GET':
+            $lists = fetchLists($db, $userId);
+            
+            // Every user owns at least one list to put items on
+            $ownsList = in_array('owner', array_column($lists, 'role'));
+            if (!$ownsList) {
+                createList($db, $userId, DEFAULT_LIST_NAME);
+                $lists = fetchLists($db, $userId);
+            }
+            
+            sendJsonResponse($lists);
+            break;
+            
+        case 'POST':
+            // Create a new list
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            $name = trim($data['name'] ?? '');
+            $error = validateListName($name);
+            if ($error) {
+                sendJsonResponse(['error' => $error], 400);
+            }
+            
+            $listId = createList($db, $userId, $name);
+            
+            $lists = array_column(fetchLists($db, $userId), null, 'id');
+            sendJsonResponse($lists[$listId], 201);
+            break;
+            
+        case 'PUT':
+            // Rename, (un)archive or budget a list (owner only)
+            $listId = intval($_GET['id'] ?? 0);
+            requireListRole($db, $listId, $userId, 'owner');
+            
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            if (array_key_exists('name', $data)) {
+                $name = trim($data['name']);
+                $error = validateListName($name);
+                if ($error) {
+                    sendJsonResponse(['error' => $error], 400);
+                }
+                
+                $stmt = $db->prepare('UPDATE shopping_lists SET name = :name, updated_at = NOW() WHERE id = :id');
+                $stmt->bindValue(':name', $name, PDO::PARAM_STR);
+                $stmt->bindValue(':id', $listId, PDO::PARAM_INT);
+                $stmt->execute();
+            }
+            
+            if (array_key_exists('archived', $data)) {
+                $stmt = $db->prepare('UPDATE shopping_lists SET archived = :archived, updated_at = NOW() WHERE id = :id');
+                $stmt->bindValue(':archived', boolval($data['archived']), PDO::PARAM_BOOL);
+                $stmt->bindValue(':id', $listId, PDO::PARAM_INT);
+                $stmt->execute();
+            }
+            
+            if (array_key_exists('budget', $data)) {
+                $budget = parseAmount($data['budget']);
+                if ($budget === false) {
+                    sendJsonResponse(['error' => 'Invalid budget'], 400);
+                }
+                
+                $stmt = $db->prepare('UPDATE shopping_lists SET budget = :budget, updated_at = NOW() WHERE id = :id');
+                $stmt->bindValue(':budget', $budget, $budget === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+                $stmt->bindValue(':id', $listId, PDO::PARAM_INT);
+                $stmt->execute();
+            }
+            
+            $lists = array_column(fetchLists($db, $userId), null, 'id');
+            sendJsonResponse($lists[$listId]);
+            break;
+            
+        case 'DELETE':
+            // Delete a list together with its items (owner only)
+            $listId = intval($_GET['id'] ?? 0);
+            requireListRole($db, $listId, $userId, 'owner');
+            
+            $ownedLists = array_filter(fetchLists($db, $userId), function ($list) {
+                return $list['role'] === 'owner';
+            });
+            if (count($ownedLists) <= 1) {
+                sendJsonResponse(['error' => 'Cannot delete the only list'], 400);
+            }
+            
+            $db->beginTransaction();
+            
+            $stmt = $db->prepare('DELETE FROM shopping_items WHERE list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM item_events WHERE list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM list_members WHERE list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM staples WHERE list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE ti FROM trip_items ti JOIN trips t ON t.id = ti.trip_id WHERE t.list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM trips WHERE list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM public_links WHERE list_id = :list_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM shopping_lists WHERE id = :id');
+            $stmt->bindValue(':id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $db->commit();
+            
+            sendJsonResponse(['message' => 'List deleted successfully']);
+            break;
+            
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    if ($db->inTransaction()) {
+        $db->rollBack();
+    }
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file
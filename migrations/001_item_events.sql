@@ -0,0 +1,13 @@
+-- Change feed used by events.php to push item changes to other devices
+CREATE TABLE IF NOT EXISTS item_events (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    item_id INT NOT NULL,
+    type ENUM('create', 'update', 'delete') NOT NULL,
+    item TEXT NULL,
+    client_id VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_item_events_user (user_id, id),
+    KEY idx_item_events_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
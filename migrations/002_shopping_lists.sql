@@ -0,0 +1,31 @@
+-- Named shopping lists; every item belongs to one list
+CREATE TABLE IF NOT EXISTS shopping_lists (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    archived TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NULL,
+    PRIMARY KEY (id),
+    KEY idx_shopping_lists_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+ALTER TABLE shopping_items
+    ADD COLUMN list_id INT NULL AFTER user_id,
+    ADD KEY idx_shopping_items_list (list_id);
+
+-- Move the existing items of every user into a default list
+INSERT INTO shopping_lists (user_id, name, created_at)
+    SELECT DISTINCT user_id, 'Moja lista', NOW() FROM shopping_items;
+
+UPDATE shopping_items i
+    JOIN shopping_lists l ON l.user_id = i.user_id
+    SET i.list_id = l.id
+    WHERE i.list_id IS NULL;
+
+ALTER TABLE shopping_items MODIFY list_id INT NOT NULL;
+
+-- The change feed is now per list
+ALTER TABLE item_events
+    ADD COLUMN list_id INT NULL AFTER user_id,
+    ADD KEY idx_item_events_list (list_id, id);
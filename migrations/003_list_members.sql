@@ -0,0 +1,12 @@
+-- Lists shared with other users; the list owner is shopping_lists.user_id
+CREATE TABLE IF NOT EXISTS list_members (
+    list_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role ENUM('editor', 'viewer') NOT NULL DEFAULT 'editor',
+    status ENUM('pending', 'accepted') NOT NULL DEFAULT 'pending',
+    invited_by INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    accepted_at DATETIME NULL,
+    PRIMARY KEY (list_id, user_id),
+    KEY idx_list_members_user (user_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
@@ -0,0 +1,3 @@
+-- Store-aisle category of an item (NULL = not categorized yet)
+ALTER TABLE shopping_items
+    ADD COLUMN category VARCHAR(30) NULL AFTER unit;
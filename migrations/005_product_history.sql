@@ -0,0 +1,19 @@
+-- Products a user added before, used for add form suggestions
+CREATE TABLE IF NOT EXISTS product_history (
+    user_id INT NOT NULL,
+    name_key VARCHAR(255) NOT NULL,
+    text VARCHAR(255) NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    unit VARCHAR(10) NOT NULL DEFAULT 'szt',
+    description TEXT NULL,
+    category VARCHAR(30) NULL,
+    use_count INT NOT NULL DEFAULT 1,
+    last_used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, name_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- Seed the history from the items already on the lists
+INSERT IGNORE INTO product_history (user_id, name_key, text, quantity, unit, description, category, use_count, last_used_at)
+    SELECT user_id, LOWER(TRIM(text)), MAX(TRIM(text)), MAX(quantity), MAX(unit), MAX(description), MAX(category), COUNT(*), MAX(added_at)
+    FROM shopping_items
+    GROUP BY user_id, LOWER(TRIM(text));
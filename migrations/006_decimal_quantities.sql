@@ -0,0 +1,6 @@
+-- Fractional quantities (0,5 kg, 1,5 l); precision per unit is validated in items.php
+ALTER TABLE shopping_items
+    MODIFY COLUMN quantity DECIMAL(10,3) NOT NULL DEFAULT 1;
+
+ALTER TABLE product_history
+    MODIFY COLUMN quantity DECIMAL(10,3) NOT NULL DEFAULT 1;
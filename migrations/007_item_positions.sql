@@ -0,0 +1,7 @@
+-- Manual order of items within a list; new items get a position above the first one
+ALTER TABLE shopping_items
+    ADD COLUMN position DOUBLE NOT NULL DEFAULT 0 AFTER category,
+    ADD KEY idx_shopping_items_position (list_id, position);
+
+-- Keep the previous "newest first" order
+UPDATE shopping_items SET position = -id;
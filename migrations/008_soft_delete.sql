@@ -0,0 +1,4 @@
+-- Deleted items go to the trash first; items.php purges them after TRASH_RETENTION_DAYS
+ALTER TABLE shopping_items
+    ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+    ADD KEY idx_shopping_items_deleted (list_id, deleted_at);
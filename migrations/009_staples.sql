@@ -0,0 +1,18 @@
+-- Staple products that come back on a list on a schedule
+-- A staple repeats every interval_days days or on the ISO weekdays (1 = Monday) listed in weekdays
+CREATE TABLE IF NOT EXISTS staples (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    list_id INT NOT NULL,
+    user_id INT NOT NULL,
+    text VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10,3) NOT NULL DEFAULT 1,
+    unit VARCHAR(10) NOT NULL DEFAULT 'szt',
+    category VARCHAR(30) NULL,
+    description TEXT NULL,
+    interval_days INT NULL,
+    weekdays VARCHAR(13) NULL,
+    next_due_at DATE NOT NULL,
+    last_added_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_staples_due (list_id, next_due_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
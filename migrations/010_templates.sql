@@ -0,0 +1,21 @@
+-- Reusable sets of products ("Grill", "Śniadanie na weekend"), stored per user
+CREATE TABLE IF NOT EXISTS templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_templates_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE IF NOT EXISTS template_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    template_id INT NOT NULL,
+    text VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10,3) NOT NULL DEFAULT 1,
+    unit VARCHAR(10) NOT NULL DEFAULT 'szt',
+    category VARCHAR(30) NULL,
+    description TEXT NULL,
+    position INT NOT NULL DEFAULT 0,
+    KEY idx_template_items_template (template_id, position)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
@@ -0,0 +1,21 @@
+-- Finished shopping trips: the checked items archived by "Zakończ zakupy"
+CREATE TABLE IF NOT EXISTS trips (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    list_id INT NOT NULL,
+    user_id INT NOT NULL,
+    finished_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_trips_list (list_id, finished_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE IF NOT EXISTS trip_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    trip_id INT NOT NULL,
+    text VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10,3) NOT NULL DEFAULT 1,
+    unit VARCHAR(10) NOT NULL DEFAULT 'szt',
+    category VARCHAR(30) NULL,
+    description TEXT NULL,
+    added_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    KEY idx_trip_items_trip (trip_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
@@ -0,0 +1,13 @@
+-- Optional unit prices (per kg / l for weights and volumes) and a budget per list
+ALTER TABLE shopping_items
+    ADD COLUMN price DECIMAL(10,2) NULL DEFAULT NULL AFTER unit;
+
+ALTER TABLE trip_items
+    ADD COLUMN price DECIMAL(10,2) NULL DEFAULT NULL AFTER unit;
+
+-- Price of the last purchase, the default for the next time the product is added
+ALTER TABLE product_history
+    ADD COLUMN price DECIMAL(10,2) NULL DEFAULT NULL AFTER unit;
+
+ALTER TABLE shopping_lists
+    ADD COLUMN budget DECIMAL(10,2) NULL DEFAULT NULL;
@@ -0,0 +1,11 @@
+-- Read-only links to a list for people without an account; public.php shows the list until expires_at
+CREATE TABLE IF NOT EXISTS public_links (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    list_id INT NOT NULL,
+    token CHAR(32) NOT NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    UNIQUE KEY idx_public_links_token (token),
+    KEY idx_public_links_list (list_id, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
@@ -0,0 +1,3 @@
+-- Microsecond updated_at, so the conflict check in items.php tells apart two saves of an item made within the same second
+ALTER TABLE shopping_items
+    MODIFY COLUMN updated_at DATETIME(6) NULL DEFAULT NULL;
@@ -0,0 +1,115 @@
+<?php
+require_once 'config.php';
+
+// Read-only view of a list opened through a public link, no login needed
+$token = $_GET['token'] ?? '';
+
+// Find the list of a link that has not expired yet
+function findPublicList($db, $token) {
+    if (!preg_match('/^[a-f0-9]{32}$/', $token)) {
+        return null;
+    }
+    
+    $stmt = $db->prepare('
+        SELECT l.id, l.name, p.expires_at
+        FROM public_links p
+        JOIN shopping_lists l ON l.id = p.list_id
+        WHERE p.token = :token AND p.expires_at > NOW()
+    ');
+    $stmt->bindValue(':token', $token, PDO::PARAM_STR);
+    $stmt->execute();
+    
+    return $stmt->fetch() ?: null;
+}
+
+// Fetch the items of a list in display order
+function fetchPublicItems($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT text, quantity, unit, description, completed
+        FROM shopping_items
+        WHERE list_id = :list_id AND deleted_at IS NULL
+        ORDER BY completed, position, added_at DESC
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    return $stmt->fetchAll();
+}
+
+// Escape text for the page
+function e($text) {
+    return htmlspecialchars((string)$text, ENT_QUOTES, 'UTF-8');
+}
+
+// Quantity with a Polish decimal comma: "1,5 kg"
+function formatQuantity($quantity, $unit) {
+    $number = rtrim(rtrim(number_format((float)$quantity, 3, ',', ''), '0'), ',');
+    return $number . ' ' . $unit;
+}
+
+$list = null;
+$items = [];
+try {
+    $db = getDB();
+    $list = findPublicList($db, $token);
+    if ($list) {
+        $items = fetchPublicItems($db, $list['id']);
+    }
+} catch (PDOException $e) {
+    error_log("Database error: " . $e->getMessage());
+}
+
+http_response_code($list ? 200 : 404);
+header('Content-Type: text/html; charset=utf-8');
+header('X-Robots-Tag: noindex');
+header('Referrer-Policy: no-referrer');
+?>
+<!DOCTYPE html>
+<html lang="pl">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title><?= $list ? e($list['name']) : 'Lista niedostępna' ?> – Lista Zakupów</title>
+    <link rel="stylesheet" href="lista.css">
+</head>
+<body>
+    <div class="container">
+        <header class="paper-shadow">
+            <div class="header-content">
+                <h1><?= $list ? e($list['name']) : 'Lista niedostępna' ?></h1>
+                <?php if ($list): ?>
+                <p>Podgląd tylko do odczytu · link ważny do <?= e(date('d.m.Y H:i', strtotime($list['expires_at']))) ?></p>
+                <?php endif; ?>
+            </div>
+        </header>
+        
+        <div class="shopping-list paper-shadow">
+            <?php if (!$list): ?>
+            <p>Ten link wygasł albo został wyłączony przez właściciela listy.</p>
+            <?php elseif (empty($items)): ?>
+            <ul class="shopping-items">
+                <li class="empty-list"><div>Lista jest pusta</div></li>
+            </ul>
+            <?php else: ?>
+            <ul class="shopping-items public-items">
+                <?php foreach ($items as $item): ?>
+                <li>
+                    <div class="item-main">
+                        <div class="item-details">
+                            <input type="checkbox" class="item-checkbox" disabled <?= $item['completed'] ? 'checked' : '' ?>>
+                            <div class="item-name <?= $item['completed'] ? 'item-completed' : '' ?>"><?= e($item['text']) ?></div>
+                            <div class="item-quantity-container"><span><?= e(formatQuantity($item['quantity'], $item['unit'])) ?></span></div>
+                        </div>
+                        <?php if ($item['description'] !== null && $item['description'] !== ''): ?>
+                        <div class="item-description"><?= e($item['description']) ?></div>
+                        <?php endif; ?>
+                    </div>
+                </li>
+                <?php endforeach; ?>
+            </ul>
+            <?php endif; ?>
+        </div>
+    </div>
+</body>
+</html>
\ No newline at end of file
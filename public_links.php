@@ -0,0 +1,108 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+
+// Anyone on the list may see its public links; only the owner creates and revokes them
+$listId = intval($_GET['list_id'] ?? 0);
+requireListRole($db, $listId, $userId, $method === 'GET' ? 'viewer' : 'owner');
+
+// Days a new link can stay valid
+const PUBLIC_LINK_DAYS = [1, 7, 30];
+
+// Fetch the links of a list that have not expired yet
+function fetchPublicLinks($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT p.id, p.token, p.created_at, p.expires_at, u.username AS created_by
+        FROM public_links p
+        JOIN users u ON u.id = p.created_by
+        WHERE p.list_id = :list_id AND p.expires_at > NOW()
+        ORDER BY p.created_at DESC, p.id DESC
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $links = $stmt->fetchAll();
+    foreach ($links as &$link) {
+        $link['id'] = (int)$link['id'];
+    }
+    
+    return $links;
+}
+
+try {
+    switch ($method) {
+        case 'GET':
+            sendJsonResponse(fetchPublicLinks($db, $listId));
+            break;
+            
+        case 'POST':
+            // Create a link with a random token
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            $days = intval($data['days'] ?? 0);
+            if (!in_array($days, PUBLIC_LINK_DAYS, true)) {
+                sendJsonResponse(['error' => 'Invalid link expiry'], 400);
+            }
+            
+            // Expired links of the list are of no use anymore
+            $stmt = $db->prepare('DELETE FROM public_links WHERE list_id = :list_id AND expires_at <= NOW()');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('
+                INSERT INTO public_links (list_id, token, created_by, created_at, expires_at)
+                VALUES (:list_id, :token, :created_by, NOW(), DATE_ADD(NOW(), INTERVAL :days DAY))
+            ');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':token', bin2hex(random_bytes(16)), PDO::PARAM_STR);
+            $stmt->bindValue(':created_by', $userId, PDO::PARAM_INT);
+            $stmt->bindValue(':days', $days, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            sendJsonResponse(fetchPublicLinks($db, $listId), 201);
+            break;
+            
+        case 'DELETE':
+            // Revoke a link before it expires
+            $linkId = intval($_GET['id'] ?? 0);
+            
+            $stmt = $db->prepare('DELETE FROM public_links WHERE id = :id AND list_id = :list_id');
+            $stmt->bindValue(':id', $linkId, PDO::PARAM_INT);
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            if ($stmt->rowCount() === 0) {
+                sendJsonResponse(['error' => 'Link not found'], 404);
+            }
+            
+            sendJsonResponse(fetchPublicLinks($db, $listId));
+            break;
+            
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file
@@ -0,0 +1,235 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+$action = $_GET['action'] ?? null;
+$listId = intval($_GET['list_id'] ?? 0);
+
+// Roles the owner can hand out
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+// Fetch the owner and all members (accepted and pending) of a list
+function fetchMembers($db, $listId) {
+    $stmt = $db->prepare("
+        SELECT u.id AS user_id, u.username, 'owner' AS role, 'accepted' AS status
+        FROM shopping_lists l
+        JOIN users u ON u.id = l.user_id
+        WHERE l.id = :owner_list_id
+        UNION ALL
+        SELECT u.id AS user_id, u.username, m.role, m.status
+        FROM list_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.list_id = :member_list_id
+    ");
+    $stmt->bindValue(':owner_list_id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':member_list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $members = $stmt->fetchAll();
+    foreach ($members as &$member) {
+        $member['user_id'] = (int)$member['user_id'];
+    }
+    
+    return $members;
+}
+
+// Fetch invitations waiting for the user's answer
+function fetchInvites($db, $userId) {
+    $stmt = $db->prepare('
+        SELECT l.id AS list_id, l.name, m.role, u.username AS invited_by, m.created_at
+        FROM list_members m
+        JOIN shopping_lists l ON l.id = m.list_id
+        JOIN users u ON u.id = m.invited_by
+        WHERE m.user_id = :user_id AND m.status = :status
+        ORDER BY m.created_at DESC
+    ');
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':status', 'pending', PDO::PARAM_STR);
+    $stmt->execute();
+    
+    $invites = $stmt->fetchAll();
+    foreach ($invites as &$invite) {
+        $invite['list_id'] = (int)$invite['list_id'];
+    }
+    
+    return $invites;
+}
+
+// Get the user's pending invitation to a list or end the request
+function requireInvite($db, $listId, $userId) {
+    $stmt = $db->prepare('SELECT list_id FROM list_members WHERE list_id = :list_id AND user_id = :user_id AND status = :status');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':status', 'pending', PDO::PARAM_STR);
+    $stmt->execute();
+    
+    if (!$stmt->fetch()) {
+        sendJsonResponse(['error' => 'Invitation not found'], 404);
+    }
+}
+
+// Remove a member (or invitation) from a list
+function removeMember($db, $listId, $memberId) {
+    $stmt = $db->prepare('DELETE FROM list_members WHERE list_id = :list_id AND user_id = :user_id');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->bindValue(':user_id', $memberId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    return $stmt->rowCount() > 0;
+}
+
+try {
+    switch ($method) {
+        case 'GET':
+            if ($action === 'invites') {
+                sendJsonResponse(fetchInvites($db, $userId));
+            }
+            
+            // Any member may see who else has access
+            requireListRole($db, $listId, $userId, 'viewer');
+            sendJsonResponse(fetchMembers($db, $listId));
+            break;
+        
+        case 'POST':
+            if ($action === 'accept') {
+                requireInvite($db, $listId, $userId);
+                
+                $stmt = $db->prepare('UPDATE list_members SET status = :status, accepted_at = NOW() WHERE list_id = :list_id AND user_id = :user_id');
+                $stmt->bindValue(':status', 'accepted', PDO::PARAM_STR);
+                $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+                $stmt->execute();
+                
+                sendJsonResponse(['message' => 'Invitation accepted']);
+            }
+            
+            if ($action === 'decline') {
+                requireInvite($db, $listId, $userId);
+                removeMember($db, $listId, $userId);
+                
+                sendJsonResponse(['message' => 'Invitation declined']);
+            }
+            
+            // Invite a user to the list (owner only)
+            requireListRole($db, $listId, $userId, 'owner');
+            
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            $username = trim($data['username'] ?? '');
+            $role = $data['role'] ?? 'editor';
+            
+            if ($username === '') {
+                sendJsonResponse(['error' => 'Username is required'], 400);
+            }
+            
+            if (!in_array($role, MEMBER_ROLES, true)) {
+                sendJsonResponse(['error' => 'Invalid role'], 400);
+            }
+            
+            $stmt = $db->prepare('SELECT id FROM users WHERE username = :username');
+            $stmt->bindValue(':username', $username, PDO::PARAM_STR);
+            $stmt->execute();
+            $invitee = $stmt->fetch();
+            
+            if (!$invitee) {
+                sendJsonResponse(['error' => 'User not found'], 404);
+            }
+            
+            $inviteeId = (int)$invitee['id'];
+            if ($inviteeId === (int)$userId) {
+                sendJsonResponse(['error' => 'You cannot invite yourself'], 400);
+            }
+            
+            $stmt = $db->prepare('SELECT status FROM list_members WHERE list_id = :list_id AND user_id = :user_id');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':user_id', $inviteeId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            if ($stmt->fetch()) {
+                sendJsonResponse(['error' => 'User already has access or a pending invitation'], 409);
+            }
+            
+            $stmt = $db->prepare('INSERT INTO list_members (list_id, user_id, role, status, invited_by, created_at) VALUES (:list_id, :user_id, :role, :status, :invited_by, NOW())');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':user_id', $inviteeId, PDO::PARAM_INT);
+            $stmt->bindValue(':role', $role, PDO::PARAM_STR);
+            $stmt->bindValue(':status', 'pending', PDO::PARAM_STR);
+            $stmt->bindValue(':invited_by', $userId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            sendJsonResponse(fetchMembers($db, $listId), 201);
+            break;
+        
+        case 'PUT':
+            // Change a member's role (owner only)
+            requireListRole($db, $listId, $userId, 'owner');
+            $memberId = intval($_GET['user_id'] ?? 0);
+            
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            $role = $data['role'] ?? null;
+            if (!in_array($role, MEMBER_ROLES, true)) {
+                sendJsonResponse(['error' => 'Invalid role'], 400);
+            }
+            
+            $stmt = $db->prepare('UPDATE list_members SET role = :role WHERE list_id = :list_id AND user_id = :user_id');
+            $stmt->bindValue(':role', $role, PDO::PARAM_STR);
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':user_id', $memberId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            sendJsonResponse(fetchMembers($db, $listId));
+            break;
+        
+        case 'DELETE':
+            // The owner revokes access; a member may leave the list themselves
+            $memberId = intval($_GET['user_id'] ?? 0);
+            $list = requireListRole($db, $listId, $userId, 'viewer');
+            
+            if ($memberId !== (int)$userId && $list['role'] !== 'owner') {
+                sendJsonResponse(['error' => 'You do not have permission to do this on this list'], 403);
+            }
+            
+            if ($memberId === (int)$list['user_id']) {
+                sendJsonResponse(['error' => 'The owner cannot leave the list'], 400);
+            }
+            
+            if (!removeMember($db, $listId, $memberId)) {
+                sendJsonResponse(['error' => 'Member not found'], 404);
+            }
+            
+            sendJsonResponse(['message' => 'Access removed']);
+            break;
+        
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file
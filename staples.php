@@ -0,0 +1,172 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Staples belong to a list; viewers may only see them
+$listId = intval($_GET['list_id'] ?? 0);
+requireListRole($db, $listId, $userId, $_SERVER['REQUEST_METHOD'] === 'GET' ? 'viewer' : 'editor');
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+
+// Longest recurrence interval of a staple
+const MAX_INTERVAL_DAYS = 365;
+
+// Convert database types of a staple row for the JSON response
+function formatStaple($staple) {
+    $staple['id'] = (int)$staple['id'];
+    $staple['quantity'] = (float)$staple['quantity'];
+    $staple['interval_days'] = $staple['interval_days'] !== null ? (int)$staple['interval_days'] : null;
+    $staple['weekdays'] = $staple['weekdays'] !== null ? array_map('intval', explode(',', $staple['weekdays'])) : null;
+    return $staple;
+}
+
+// Fetch the staples of a list, the soonest due first
+function fetchStaples($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT id, text, quantity, unit, category, description, interval_days, weekdays, next_due_at, last_added_at
+        FROM staples
+        WHERE list_id = :list_id
+        ORDER BY next_due_at, text
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    return array_map('formatStaple', $stmt->fetchAll());
+}
+
+// Read the recurrence rule of a request: every N days or on ISO weekdays (1 = Monday)
+// Returns [interval_days, weekdays] with the other one null, or null if the rule is invalid
+function readRule($data) {
+    if (isset($data['interval_days'])) {
+        $days = filter_var($data['interval_days'], FILTER_VALIDATE_INT);
+        if ($days === false || $days < 1 || $days > MAX_INTERVAL_DAYS) {
+            return null;
+        }
+        return [$days, null];
+    }
+    
+    if (isset($data['weekdays']) && is_array($data['weekdays'])) {
+        $weekdays = array_values(array_unique(array_map('intval', $data['weekdays'])));
+        sort($weekdays);
+        if (empty($weekdays) || min($weekdays) < 1 || max($weekdays) > 7) {
+            return null;
+        }
+        return [null, implode(',', $weekdays)];
+    }
+    
+    return null;
+}
+
+try {
+    switch ($method) {
+        case 'GET':
+            sendJsonResponse(fetchStaples($db, $listId));
+            break;
+            
+        case 'POST':
+            // Mark a product as a staple of the list
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            $text = trim($data['text'] ?? '');
+            $quantity = $data['quantity'] ?? 1;
+            $unit = $data['unit'] ?? 'szt';
+            $category = $data['category'] ?? null;
+            $description = trim($data['description'] ?? '');
+            $rule = readRule($data);
+            
+            if ($text === '') {
+                sendJsonResponse(['error' => 'Item text is required'], 400);
+            }
+            
+            // Staples end up on the list, so they follow the rules of shopping items
+            if (!in_array($unit, VALID_UNITS, true)) {
+                sendJsonResponse(['error' => 'Invalid unit'], 400);
+            }
+            
+            $error = validateQuantity($quantity, $unit);
+            if ($error) {
+                sendJsonResponse(['error' => $error], 400);
+            }
+            $quantity = parseQuantity($quantity);
+            
+            if ($category !== null && !in_array($category, VALID_CATEGORIES, true)) {
+                sendJsonResponse(['error' => 'Invalid category'], 400);
+            }
+            
+            if (!$rule) {
+                sendJsonResponse(['error' => 'Invalid recurrence rule'], 400);
+            }
+            
+            $stmt = $db->prepare('SELECT id FROM staples WHERE list_id = :list_id AND LOWER(text) = LOWER(:text)');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':text', $text, PDO::PARAM_STR);
+            $stmt->execute();
+            
+            if ($stmt->fetch()) {
+                sendJsonResponse(['error' => 'This product is already a staple of the list'], 409);
+            }
+            
+            [$intervalDays, $weekdays] = $rule;
+            
+            // The product is usually on the list already, so it comes back after the first period
+            $stmt = $db->prepare('
+                INSERT INTO staples (list_id, user_id, text, quantity, unit, category, description, interval_days, weekdays, next_due_at, created_at)
+                VALUES (:list_id, :user_id, :text, :quantity, :unit, :category, :description, :interval_days, :weekdays, :next_due_at, NOW())
+            ');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+            $stmt->bindValue(':text', $text, PDO::PARAM_STR);
+            $stmt->bindValue(':quantity', $quantity, PDO::PARAM_STR);
+            $stmt->bindValue(':unit', $unit, PDO::PARAM_STR);
+            $stmt->bindValue(':category', $category, $category === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+            $stmt->bindValue(':description', $description, PDO::PARAM_STR);
+            $stmt->bindValue(':interval_days', $intervalDays, $intervalDays === null ? PDO::PARAM_NULL : PDO::PARAM_INT);
+            $stmt->bindValue(':weekdays', $weekdays, $weekdays === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+            $stmt->bindValue(':next_due_at', nextStapleDue($intervalDays, $weekdays), PDO::PARAM_STR);
+            $stmt->execute();
+            
+            sendJsonResponse(fetchStaples($db, $listId), 201);
+            break;
+            
+        case 'DELETE':
+            // Stop repeating a product; it stays on the list
+            $stapleId = intval($_GET['id'] ?? 0);
+            
+            $stmt = $db->prepare('DELETE FROM staples WHERE id = :id AND list_id = :list_id');
+            $stmt->bindValue(':id', $stapleId, PDO::PARAM_INT);
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            if ($stmt->rowCount() === 0) {
+                sendJsonResponse(['error' => 'Staple not found'], 404);
+            }
+            
+            sendJsonResponse(fetchStaples($db, $listId));
+            break;
+            
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file
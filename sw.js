@@ -3,6 +3,7 @@ const urlsToCache = [
   '/lista/',
   '/lista/lista.html',
   '/lista/lista.css',
+  '/lista/lista-print.css',
   '/lista/lista.js',
   '/lista/icon-192.png',
   '/lista/icon-512.png',
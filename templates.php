@@ -0,0 +1,201 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+
+// Limits of a single template
+const MAX_TEMPLATE_ITEMS = 200;
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+// Fetch the user's templates with their items
+function fetchTemplates($db, $userId) {
+    $stmt = $db->prepare('
+        SELECT t.id, t.name, t.updated_at,
+               i.text, i.quantity, i.unit, i.category, i.description
+        FROM templates t
+        LEFT JOIN template_items i ON i.template_id = t.id
+        WHERE t.user_id = :user_id
+        ORDER BY t.name, t.id, i.position
+    ');
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $templates = [];
+    foreach ($stmt->fetchAll() as $row) {
+        $id = (int)$row['id'];
+        if (!isset($templates[$id])) {
+            $templates[$id] = ['id' => $id, 'name' => $row['name'], 'updated_at' => $row['updated_at'], 'items' => []];
+        }
+        if ($row['text'] !== null) {
+            $templates[$id]['items'][] = [
+                'text' => $row['text'],
+                'quantity' => (float)$row['quantity'],
+                'unit' => $row['unit'],
+                'category' => $row['category'],
+                'description' => $row['description']
+            ];
+        }
+    }
+    
+    return array_values($templates);
+}
+
+// Validate the name and items of a template, returns an error message or null
+function validateTemplate($data) {
+    $name = trim($data['name'] ?? '');
+    if ($name === '' || mb_strlen($name) > MAX_TEMPLATE_NAME_LENGTH) {
+        return 'Template name is required and must be at most ' . MAX_TEMPLATE_NAME_LENGTH . ' characters';
+    }
+    
+    $items = $data['items'] ?? null;
+    if (!is_array($items) || count($items) === 0 || count($items) > MAX_TEMPLATE_ITEMS) {
+        return 'A template needs between 1 and ' . MAX_TEMPLATE_ITEMS . ' items';
+    }
+    
+    foreach ($items as $item) {
+        if (trim($item['text'] ?? '') === '') {
+            return 'Item text is required';
+        }
+        
+        // Templates are applied through items.php, so they must pass the same checks
+        $unit = $item['unit'] ?? 'szt';
+        if (!in_array($unit, VALID_UNITS, true)) {
+            return 'Invalid unit';
+        }
+        $error = validateQuantity($item['quantity'] ?? 1, $unit);
+        if ($error) {
+            return $error;
+        }
+        if (isset($item['category']) && !in_array($item['category'], VALID_CATEGORIES, true)) {
+            return 'Invalid category';
+        }
+    }
+    
+    return null;
+}
+
+// Get a template of the user or end the request
+function requireTemplate($db, $templateId, $userId) {
+    $stmt = $db->prepare('SELECT id FROM templates WHERE id = :id AND user_id = :user_id');
+    $stmt->bindValue(':id', $templateId, PDO::PARAM_INT);
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    if (!$stmt->fetch()) {
+        sendJsonResponse(['error' => 'Template not found'], 404);
+    }
+}
+
+// Replace the items of a template, keeping their order
+function saveTemplateItems($db, $templateId, $items) {
+    $stmt = $db->prepare('DELETE FROM template_items WHERE template_id = :template_id');
+    $stmt->bindValue(':template_id', $templateId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $stmt = $db->prepare('
+        INSERT INTO template_items (template_id, text, quantity, unit, category, description, position)
+        VALUES (:template_id, :text, :quantity, :unit, :category, :description, :position)
+    ');
+    foreach (array_values($items) as $position => $item) {
+        $stmt->bindValue(':template_id', $templateId, PDO::PARAM_INT);
+        $stmt->bindValue(':text', trim($item['text']), PDO::PARAM_STR);
+        $stmt->bindValue(':quantity', parseQuantity($item['quantity'] ?? 1), PDO::PARAM_STR);
+        $stmt->bindValue(':unit', $item['unit'] ?? 'szt', PDO::PARAM_STR);
+        $stmt->bindValue(':category', $item['category'] ?? null, isset($item['category']) ? PDO::PARAM_STR : PDO::PARAM_NULL);
+        $stmt->bindValue(':description', trim($item['description'] ?? ''), PDO::PARAM_STR);
+        $stmt->bindValue(':position', $position, PDO::PARAM_INT);
+        $stmt->execute();
+    }
+}
+
+try {
+    switch ($method) {
+        case 'GET':
+            sendJsonResponse(fetchTemplates($db, $userId));
+            break;
+            
+        case 'POST':
+        case 'PUT':
+            // Create a template, or replace the name and items of an existing one
+            $data = json_decode(file_get_contents('php://input'), true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                sendJsonResponse(['error' => 'Invalid JSON data'], 400);
+                break;
+            }
+            
+            $error = validateTemplate($data);
+            if ($error) {
+                sendJsonResponse(['error' => $error], 400);
+            }
+            
+            $templateId = $method === 'PUT' ? intval($_GET['id'] ?? 0) : null;
+            if ($templateId !== null) {
+                requireTemplate($db, $templateId, $userId);
+            }
+            
+            $db->beginTransaction();
+            
+            if ($templateId === null) {
+                $stmt = $db->prepare('INSERT INTO templates (user_id, name, created_at, updated_at) VALUES (:user_id, :name, NOW(), NOW())');
+                $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+                $stmt->bindValue(':name', trim($data['name']), PDO::PARAM_STR);
+                $stmt->execute();
+                $templateId = (int)$db->lastInsertId();
+            } else {
+                $stmt = $db->prepare('UPDATE templates SET name = :name, updated_at = NOW() WHERE id = :id');
+                $stmt->bindValue(':name', trim($data['name']), PDO::PARAM_STR);
+                $stmt->bindValue(':id', $templateId, PDO::PARAM_INT);
+                $stmt->execute();
+            }
+            
+            saveTemplateItems($db, $templateId, $data['items']);
+            $db->commit();
+            
+            sendJsonResponse(fetchTemplates($db, $userId), $method === 'POST' ? 201 : 200);
+            break;
+            
+        case 'DELETE':
+            $templateId = intval($_GET['id'] ?? 0);
+            requireTemplate($db, $templateId, $userId);
+            
+            $db->beginTransaction();
+            
+            $stmt = $db->prepare('DELETE FROM template_items WHERE template_id = :template_id');
+            $stmt->bindValue(':template_id', $templateId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $stmt = $db->prepare('DELETE FROM templates WHERE id = :id');
+            $stmt->bindValue(':id', $templateId, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $db->commit();
+            
+            sendJsonResponse(fetchTemplates($db, $userId));
+            break;
+            
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    if ($db->inTransaction()) {
+        $db->rollBack();
+    }
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file
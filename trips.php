@@ -0,0 +1,172 @@
+<?php
+require_once 'config.php';
+
+// Check authentication
+if (!isLoggedIn()) {
+    sendJsonResponse(['error' => 'Authentication required'], 401);
+    exit;
+}
+
+$userId = getCurrentUserId();
+$db = getDB();
+
+// Trips belong to a list; viewers may only browse them
+$listId = intval($_GET['list_id'] ?? 0);
+requireListRole($db, $listId, $userId, $_SERVER['REQUEST_METHOD'] === 'GET' ? 'viewer' : 'editor');
+
+// Get request method
+$method = $_SERVER['REQUEST_METHOD'];
+$action = $_GET['action'] ?? null;
+
+// Most recent trips returned by the history view
+const TRIP_LIMIT = 50;
+
+// How far back the statistics look
+const STATS_PERIOD_DAYS = 365;
+
+// Fetch the latest trips of a list with their items
+function fetchTrips($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT t.id, t.finished_at, u.username AS finished_by,
+               i.text, i.quantity, i.unit, i.price, i.category, i.description, i.added_at, i.completed_at
+        FROM (
+            SELECT id, user_id, finished_at FROM trips
+            WHERE list_id = :list_id
+            ORDER BY finished_at DESC, id DESC
+            LIMIT ' . TRIP_LIMIT . '
+        ) t
+        JOIN users u ON u.id = t.user_id
+        LEFT JOIN trip_items i ON i.trip_id = t.id
+        ORDER BY t.finished_at DESC, t.id DESC, i.completed_at, i.id
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $trips = [];
+    foreach ($stmt->fetchAll() as $row) {
+        $id = (int)$row['id'];
+        if (!isset($trips[$id])) {
+            $trips[$id] = ['id' => $id, 'finished_at' => $row['finished_at'], 'finished_by' => $row['finished_by'], 'items' => []];
+        }
+        if ($row['text'] !== null) {
+            $trips[$id]['items'][] = [
+                'text' => $row['text'],
+                'quantity' => (float)$row['quantity'],
+                'unit' => $row['unit'],
+                'price' => $row['price'] !== null ? (float)$row['price'] : null,
+                'category' => $row['category'],
+                'description' => $row['description'],
+                'added_at' => $row['added_at'],
+                'completed_at' => $row['completed_at']
+            ];
+        }
+    }
+    
+    return array_values($trips);
+}
+
+// Fetch every purchase of a list within the statistics period
+function fetchPurchases($db, $listId) {
+    $stmt = $db->prepare('
+        SELECT i.text, i.quantity, i.unit, i.price, i.category, i.added_at, i.completed_at
+        FROM trip_items i
+        JOIN trips t ON t.id = i.trip_id
+        WHERE t.list_id = :list_id AND t.finished_at >= NOW() - INTERVAL ' . STATS_PERIOD_DAYS . ' DAY
+        ORDER BY i.completed_at, i.id
+    ');
+    $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $purchases = $stmt->fetchAll();
+    foreach ($purchases as &$purchase) {
+        $purchase['quantity'] = (float)$purchase['quantity'];
+        $purchase['price'] = $purchase['price'] !== null ? (float)$purchase['price'] : null;
+    }
+    
+    return $purchases;
+}
+
+try {
+    switch ($method) {
+        case 'GET':
+            if ($action === 'purchases') {
+                sendJsonResponse(fetchPurchases($db, $listId));
+            }
+            
+            sendJsonResponse(fetchTrips($db, $listId));
+            break;
+            
+        case 'POST':
+            // Finish shopping: archive the checked items as a trip and take them off the list
+            $db->beginTransaction();
+            
+            $stmt = $db->prepare('
+                SELECT id, text, quantity, unit, price, category, description, added_at, completed_at
+                FROM shopping_items
+                WHERE list_id = :list_id AND completed = 1 AND deleted_at IS NULL
+                FOR UPDATE
+            ');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->execute();
+            $items = $stmt->fetchAll();
+            
+            if (empty($items)) {
+                $db->rollBack();
+                sendJsonResponse(['error' => 'No checked items to archive'], 400);
+            }
+            
+            $stmt = $db->prepare('INSERT INTO trips (list_id, user_id, finished_at) VALUES (:list_id, :user_id, NOW())');
+            $stmt->bindValue(':list_id', $listId, PDO::PARAM_INT);
+            $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+            $stmt->execute();
+            $tripId = (int)$db->lastInsertId();
+            
+            $insertItem = $db->prepare('
+                INSERT INTO trip_items (trip_id, text, quantity, unit, price, category, description, added_at, completed_at)
+                VALUES (:trip_id, :text, :quantity, :unit, :price, :category, :description, :added_at, COALESCE(:completed_at, NOW()))
+            ');
+            $deleteItem = $db->prepare('DELETE FROM shopping_items WHERE id = :id AND list_id = :list_id');
+            
+            foreach ($items as $item) {
+                $insertItem->bindValue(':trip_id', $tripId, PDO::PARAM_INT);
+                $insertItem->bindValue(':text', $item['text'], PDO::PARAM_STR);
+                $insertItem->bindValue(':quantity', $item['quantity'], PDO::PARAM_STR);
+                $insertItem->bindValue(':unit', $item['unit'], PDO::PARAM_STR);
+                $insertItem->bindValue(':price', $item['price'], $item['price'] === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+                $insertItem->bindValue(':category', $item['category'], $item['category'] === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+                $insertItem->bindValue(':description', $item['description'], PDO::PARAM_STR);
+                $insertItem->bindValue(':added_at', $item['added_at'], PDO::PARAM_STR);
+                $insertItem->bindValue(':completed_at', $item['completed_at'], $item['completed_at'] === null ? PDO::PARAM_NULL : PDO::PARAM_STR);
+                $insertItem->execute();
+                
+                // The trip keeps the item, so it does not need to go through the trash
+                $deleteItem->bindValue(':id', $item['id'], PDO::PARAM_INT);
+                $deleteItem->bindValue(':list_id', $listId, PDO::PARAM_INT);
+                $deleteItem->execute();
+                recordItemEvent($db, $listId, 'delete', $item['id']);
+            }
+            
+            $db->commit();
+            
+            sendJsonResponse([
+                'message' => 'Trip archived successfully',
+                'archived' => count($items),
+                'trips' => fetchTrips($db, $listId)
+            ], 201);
+            break;
+            
+        default:
+            sendJsonResponse(['error' => 'Method not allowed'], 405);
+            break;
+    }
+} catch (PDOException $e) {
+    if ($db->inTransaction()) {
+        $db->rollBack();
+    }
+    error_log("Database error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'Database error occurred'], 500);
+} catch (Exception $e) {
+    error_log("General error: " . $e->getMessage());
+    sendJsonResponse(['error' => 'An error occurred'], 500);
+}
+?>
\ No newline at end of file